@@ -0,0 +1,158 @@
+const fs = require('fs');
+const express = require('express');
+const mongoose = require('mongoose');
+const bodyParser = require('body-parser');
+const cors = require('cors');
+const { createPaymentProvider } = require('./services/payments');
+const { createMessagingProvider } = require('./services/messaging');
+const { createFileStorage } = require('./services/storage');
+const { createPaymentProofs } = require('./services/paymentProofs');
+const { createOutbox } = require('./services/notifications');
+const { createScheduler } = require('./services/scheduler');
+const { createBookingNotifier } = require('./services/bookingNotifications');
+const { createAvailability } = require('./services/availability');
+const { createBookingService } = require('./services/bookings');
+const { createBookingJobs } = require('./services/bookingJobs');
+const { createGuestAccess } = require('./services/guestAccess');
+const { ApiError, toApiError } = require('./services/errors');
+const { createAdminRouter } = require('./routes/admin');
+const { createRoomsRouter } = require('./routes/rooms');
+const { createPricingRulesRouter } = require('./routes/pricingRules');
+const { createHoldsRouter } = require('./routes/holds');
+const { createBookingsRouter } = require('./routes/bookings');
+const { createGroupBookingsRouter } = require('./routes/groupBookings');
+const { createPaymentsRouter } = require('./routes/payments');
+const { createNotificationsRouter } = require('./routes/notifications');
+const { createInvoicesRouter } = require('./routes/invoices');
+const { createGuestsRouter } = require('./routes/guests');
+const { createGuestPortalRouter } = require('./routes/guestPortal');
+const { createJobsRouter } = require('./routes/jobs');
+const { createReportsRouter } = require('./routes/reports');
+
+// Build the Express app. `db` is a connected mongoose connection, `mailer`
+// anything with nodemailer's sendMail, and `clock.now()` is "now" for every
+// date the API compares against, so tests can move time. Uploaded payment
+// proofs go to `fileStorage`.
+function createApp({
+  db,
+  mailer,
+  clock = { now: () => new Date() },
+  paymentProvider = createPaymentProvider(),
+  messagingProvider = createMessagingProvider(),
+  fileStorage = createFileStorage()
+}) {
+  const app = express();
+
+  // Behind the Vercel proxy, client IPs come from X-Forwarded-For
+  app.set('trust proxy', 1);
+
+  // Middleware
+  app.use(cors({
+    origin: (origin, callback) => {
+      // Allow requests with no origin (mobile apps, Postman, etc.)
+      if (!origin) return callback(null, true);
+
+      const allowedOrigins = [
+        'https://kedarlingyatrinivas.com',
+        'http://localhost:3000',
+        'http://localhost:3001'
+      ];
+
+      if (allowedOrigins.includes(origin)) {
+        callback(null, true);
+      } else {
+        callback(new ApiError(403, 'CORS_NOT_ALLOWED', 'Not allowed by CORS'));
+      }
+    },
+    credentials: true,
+    exposedHeaders: ['Idempotent-Replayed']
+  }));
+
+  app.use(bodyParser.json({
+    limit: '10mb',
+    // Payment webhooks are signed over the exact request bytes
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    }
+  }));
+  app.use(bodyParser.urlencoded({ extended: true, limit: '10mb' }));
+
+  // Outgoing messages are stored first and delivered from the outbox
+  const outbox = createOutbox({
+    clock,
+    senders: {
+      email: async (notification) => {
+        const info = await mailer.sendMail({
+          from: notification.from,
+          to: notification.to,
+          subject: notification.subject,
+          html: notification.html,
+          attachments: notification.attachments.map(({ filename, contentType, content }) => ({ filename, contentType, content }))
+        });
+        return info.messageId;
+      },
+      sms: (notification) => messagingProvider.send({ channel: 'sms', to: notification.to, body: notification.body }),
+      whatsapp: (notification) => messagingProvider.send({ channel: 'whatsapp', to: notification.to, body: notification.body })
+    }
+  });
+
+  const { notifyBooking } = createBookingNotifier({ outbox });
+  const paymentProofs = createPaymentProofs({ storage: fileStorage });
+  const availability = createAvailability({ clock });
+  const bookings = createBookingService({ db, clock, paymentProvider, notifyBooking });
+  const guestAccess = createGuestAccess({ clock, outbox });
+  const scheduler = createScheduler({
+    jobs: createBookingJobs({ db, clock, outbox, notifyBooking, bookings })
+  });
+
+  // The entry point starts the scheduler; tests run jobs on demand
+  app.locals.scheduler = scheduler;
+
+  // Routes
+  app.get('/api/health', (req, res) => {
+    res.json({
+      status: 'healthy',
+      dbState: mongoose.STATES[db.readyState],
+      timestamp: new Date()
+    });
+  });
+
+  app.use('/api', createAdminRouter({ clock }));
+  app.use('/api', createRoomsRouter({ clock, availability }));
+  app.use('/api', createPricingRulesRouter());
+  app.use('/api', createHoldsRouter({ db, clock, availability }));
+  app.use('/api', createBookingsRouter({ db, clock, availability, bookings, notifyBooking, paymentProofs }));
+  app.use('/api', createGroupBookingsRouter({ db, clock, availability, notifyBooking }));
+  app.use('/api', createPaymentsRouter({ clock, paymentProvider, bookings, notifyBooking, paymentProofs }));
+  app.use('/api', createNotificationsRouter({ outbox }));
+  app.use('/api', createInvoicesRouter({ bookings }));
+  app.use('/api', createGuestsRouter({ clock }));
+  app.use('/api', createGuestPortalRouter({ clock, bookings, guestAccess, paymentProofs }));
+  app.use('/api', createJobsRouter({ scheduler }));
+  app.use('/api', createReportsRouter({ clock }));
+
+  // Unknown API routes
+  app.use('/api', (req, res, next) => {
+    next(new ApiError(404, 'NOT_FOUND', `Cannot ${req.method} ${req.baseUrl}${req.path}`));
+  });
+
+  // Error handling middleware. Every error response is { message, code, errors? };
+  // internal details are only logged.
+  app.use((err, req, res, next) => {
+    const apiError = toApiError(err);
+    if (apiError.status >= 500) {
+      console.error(`Error handling ${req.method} ${req.originalUrl}:`, err);
+    }
+
+    // Uploads of a failed request are not kept (proofs are only held in memory)
+    const files = [].concat(req.file || [], req.files || []).filter(file => file.path);
+    files.forEach(file => fs.promises.unlink(file.path).catch(() => {}));
+
+    if (res.headersSent) return next(err);
+    res.status(apiError.status).json(apiError);
+  });
+
+  return app;
+}
+
+module.exports = { createApp };
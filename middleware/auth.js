@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Admin = require('../models/Admin');
+const Booking = require('../models/Booking');
+
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '12h';
+const GUEST_TOKEN_EXPIRES_IN = process.env.GUEST_TOKEN_EXPIRES_IN || '2h';
+
+// Guest portal tokens carry this audience and are never accepted for staff routes
+const GUEST_AUDIENCE = 'guest';
+
+function bearerToken(req) {
+  const authHeader = req.headers.authorization || '';
+  return authHeader.startsWith('Bearer ') ? authHeader.slice(7) : null;
+}
+
+// Admin authentication middleware. With no roles, any active admin is allowed.
+function requireAdmin(...roles) {
+  return async (req, res, next) => {
+    const token = bearerToken(req);
+
+    if (!token) {
+      return res.status(401).json({ message: 'Authentication required', code: 'AUTH_REQUIRED' });
+    }
+
+    let payload;
+    try {
+      payload = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+      return res.status(401).json({ message: 'Invalid or expired token', code: 'INVALID_TOKEN' });
+    }
+
+    if (payload.aud === GUEST_AUDIENCE) {
+      return res.status(401).json({ message: 'Invalid or expired token', code: 'INVALID_TOKEN' });
+    }
+
+    try {
+      const admin = await Admin.findById(payload.sub);
+      if (!admin || !admin.isActive) {
+        return res.status(401).json({ message: 'Invalid or expired token', code: 'INVALID_TOKEN' });
+      }
+
+      if (roles.length > 0 && !roles.includes(admin.role)) {
+        return res.status(403).json({ message: 'You do not have permission to perform this action', code: 'FORBIDDEN' });
+      }
+
+      req.admin = admin;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+function issueAdminToken(admin) {
+  return jwt.sign(
+    { sub: admin._id.toString(), role: admin.role },
+    process.env.JWT_SECRET,
+    { expiresIn: JWT_EXPIRES_IN }
+  );
+}
+
+// Guest portal authentication. The token gives access to one booking, which
+// is loaded as `req.booking`.
+async function requireGuest(req, res, next) {
+  const token = bearerToken(req);
+
+  if (!token) {
+    return res.status(401).json({ message: 'Authentication required', code: 'AUTH_REQUIRED' });
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(token, process.env.JWT_SECRET, { audience: GUEST_AUDIENCE });
+  } catch (error) {
+    return res.status(401).json({ message: 'Invalid or expired token', code: 'INVALID_TOKEN' });
+  }
+
+  try {
+    const booking = await Booking.findById(payload.sub);
+    if (!booking) {
+      return res.status(401).json({ message: 'Invalid or expired token', code: 'INVALID_TOKEN' });
+    }
+
+    req.booking = booking;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+function issueGuestToken(booking) {
+  return jwt.sign(
+    { sub: booking._id.toString() },
+    process.env.JWT_SECRET,
+    { audience: GUEST_AUDIENCE, expiresIn: GUEST_TOKEN_EXPIRES_IN }
+  );
+}
+
+// Vercel Cron calls this with `Authorization: Bearer $CRON_SECRET`
+function requireCronSecret(req, res, next) {
+  if (!process.env.CRON_SECRET) {
+    return res.status(503).json({ message: 'Scheduled jobs are not configured', code: 'CRON_DISABLED' });
+  }
+
+  const expected = Buffer.from(`Bearer ${process.env.CRON_SECRET}`);
+  const provided = Buffer.from(req.headers.authorization || '');
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return res.status(401).json({ message: 'Invalid cron secret', code: 'INVALID_TOKEN' });
+  }
+
+  next();
+}
+
+module.exports = { requireAdmin, issueAdminToken, requireGuest, issueGuestToken, requireCronSecret };
@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+const IDEMPOTENCY_TAKEOVER_MS = 5 * 60 * 1000;
+
+// Honour an Idempotency-Key header. The first request with a key runs and its
+// response is stored; repeats with the same key and body get that response back
+// instead of running again. Server errors are not stored, so they can be retried.
+function idempotent(scope, { clock }) {
+  return async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (key === undefined) return next();
+
+    if (!/^[\x21-\x7e]{1,255}$/.test(key)) {
+      return res.status(400).json({ message: 'Idempotency-Key must be 1-255 printable characters', code: 'INVALID_IDEMPOTENCY_KEY' });
+    }
+
+    const body = req.body || {};
+    const fingerprint = crypto.createHash('sha256')
+      .update(JSON.stringify(Object.keys(body).sort().map(field => [field, body[field]])))
+      .digest('hex');
+
+    try {
+      let record;
+      try {
+        record = await IdempotencyKey.create({ key, scope, fingerprint, createdAt: clock.now() });
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+
+        // A request that has been processing for too long died part-way; let this one take over
+        record = await IdempotencyKey.findOneAndUpdate(
+          {
+            key,
+            scope,
+            fingerprint,
+            status: 'processing',
+            createdAt: { $lt: new Date(clock.now().getTime() - IDEMPOTENCY_TAKEOVER_MS) }
+          },
+          { $set: { createdAt: clock.now() } },
+          { new: true }
+        );
+      }
+
+      if (!record) {
+        const existing = await IdempotencyKey.findOne({ key, scope });
+
+        if (existing && existing.fingerprint !== fingerprint) {
+          return res.status(422).json({
+            message: 'This Idempotency-Key was already used for a different request',
+            code: 'IDEMPOTENCY_KEY_REUSED'
+          });
+        }
+        if (!existing || existing.status === 'processing') {
+          return res.status(409).json({
+            message: 'A request with this Idempotency-Key is still being processed',
+            code: 'IDEMPOTENCY_KEY_IN_USE'
+          });
+        }
+
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.responseStatus).json(existing.responseBody);
+      }
+
+      // Store the outcome before sending it
+      const send = res.json.bind(res);
+      res.json = (responseBody) => {
+        const saved = res.statusCode >= 500
+          ? IdempotencyKey.deleteOne({ _id: record._id })
+          : IdempotencyKey.updateOne({ _id: record._id }, {
+            $set: {
+              status: 'completed',
+              responseStatus: res.statusCode,
+              responseBody: JSON.parse(JSON.stringify(responseBody))
+            }
+          });
+
+        saved.exec()
+          .catch(error => console.error('Error saving idempotency key:', error))
+          .finally(() => send(responseBody));
+        return res;
+      };
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+module.exports = { idempotent };
@@ -0,0 +1,22 @@
+const path = require('path');
+const multer = require('multer');
+
+const PAYMENT_PROOF_MAX_BYTES = Number(process.env.PAYMENT_PROOF_MAX_MB || 5) * 1024 * 1024;
+
+// Payment proofs and receipts are held in memory until they have been checked
+// and re-encoded by services/paymentProofs, so nothing unchecked reaches storage
+const uploadPaymentProof = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: PAYMENT_PROOF_MAX_BYTES, files: 1 }
+});
+
+// Guest ID scans are personal documents, so they are kept outside the public
+// folder and only served to admins. Like payment proofs, they are held in memory
+// until routes/guests has checked and re-encoded them.
+const GUEST_ID_DIR = path.join(__dirname, '../storage/guest-ids');
+const uploadIdImages = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024, files: 20 }
+});
+
+module.exports = { uploadPaymentProof, uploadIdImages, GUEST_ID_DIR };
@@ -1,27 +1,64 @@
 const mongoose = require('mongoose');
+const bcrypt = require('bcrypt');
+
+const SALT_ROUNDS = 12;
 
 const adminSchema = new mongoose.Schema({
-  username: { 
-    type: String, 
-    required: true, 
+  username: {
+    type: String,
+    required: true,
     unique: true,
     trim: true
   },
-  password: { 
-    type: String, 
-    required: true 
+  password: {
+    type: String,
+    required: true
   },
-  phone: { 
-    type: String, 
+  phone: {
+    type: String,
     required: true,
     trim: true
   },
-  createdAt: { 
-    type: Date, 
-    default: Date.now 
+  role: {
+    type: String,
+    enum: ['owner', 'frontdesk'],
+    default: 'frontdesk'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastLoginAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
   }
 });
 
-module.exports = mongoose.model('Admin', adminSchema);
+// Hash the password whenever it is set or changed
+adminSchema.pre('save', async function(next) {
+  if (!this.isModified('password')) return next();
 
+  try {
+    this.password = await bcrypt.hash(this.password, SALT_ROUNDS);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+adminSchema.methods.comparePassword = function(candidatePassword) {
+  return bcrypt.compare(candidatePassword, this.password);
+};
+
+// Never send the password hash back to clients
+adminSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.password;
+    return ret;
+  }
+});
 
+module.exports = mongoose.model('Admin', adminSchema);
@@ -1,220 +1,258 @@
-// // const mongoose = require('mongoose');
-
-// // const bookingSchema = new mongoose.Schema({
-// //   roomId: { 
-// //     type: mongoose.Schema.Types.ObjectId, 
-// //     ref: 'Room', 
-// //     required: true 
-// //   },
-// //   roomNumber: { 
-// //     type: String, 
-// //     required: true,
-// //     trim: true
-// //   },
-// //   roomType: { 
-// //     type: String, 
-// //     required: true,
-// //     trim: true,
-// //     enum: ['standard', 'deluxe', 'suite', 'executive', 'presidential']
-// //   },
-// //   guestName: { 
-// //     type: String, 
-// //     required: true,
-// //     trim: true
-// //   },
-// //   guestEmail: { 
-// //     type: String, 
-// //     required: true,
-// //     trim: true,
-// //     lowercase: true
-// //   },
-// //   guestPhone: { 
-// //     type: String, 
-// //     required: true,
-// //     trim: true
-// //   },
-// //   checkIn: { 
-// //     type: Date, 
-// //     required: true 
-// //   },
-// //   checkOut: { 
-// //     type: Date, 
-// //     required: true 
-// //   },
-// //   nights: { 
-// //     type: Number, 
-// //     required: true,
-// //     min: 1
-// //   },
-// //   adults: { 
-// //     type: Number, 
-// //     required: true,
-// //     min: 1
-// //   },
-// //   children: { 
-// //     type: Number, 
-// //     default: 0,
-// //     min: 0
-// //   },
-// //   totalAmount: { 
-// //     type: Number, 
-// //     required: true,
-// //     min: 0
-// //   },
-// //   status: { 
-// //     type: String, 
-// //     default: 'confirmed', 
-// //     enum: ['confirmed', 'cancelled', 'pending'],
-// //     lowercase: true
-// //   },
-// //   specialRequests: {
-// //     type: String,
-// //     trim: true
-// //   },
-// //   gstNumber: {
-// //     type: String,
-// //     trim: true
-// //   },
-// //   paymentMethod: {
-// //     type: String,
-// //     enum: ['credit', 'debit', 'upi', 'netbanking', 'payatproperty'],
-// //     default: 'credit'
-// //   },
-// //   arrivalTime: {
-// //     type: String
-// //   },
-// //   createdAt: { 
-// //     type: Date, 
-// //     default: Date.now 
-// //   }
-// // }, {
-// //   timestamps: true
-// // });
-
-// // module.exports = mongoose.model('Booking', bookingSchema);
-
-// const mongoose = require('mongoose');
-
-// const bookingSchema = new mongoose.Schema({
-//   roomId: {
-//     type: mongoose.Schema.Types.ObjectId,
-//     ref: 'Room',
-//     required: [true, 'Room ID is required']
-//   },
-//   roomNumber: {
-//     type: String,
-//     required: [true, 'Room number is required']
-//   },
-//   roomType: {
-//     type: String,
-//     required: [true, 'Room type is required']
-//   },
-//   guestName: {
-//     type: String,
-//     required: [true, 'Guest name is required'],
-//     trim: true
-//   },
-//   guestEmail: {
-//     type: String,
-//     required: [true, 'Guest email is required'],
-//     trim: true,
-//     lowercase: true
-//   },
-//   guestPhone: {
-//     type: String,
-//     required: [true, 'Guest phone is required'],
-//     trim: true
-//   },
-//   checkIn: {
-//     type: Date,
-//     required: [true, 'Check-in date is required']
-//   },
-//   checkOut: {
-//     type: Date,
-//     required: [true, 'Check-out date is required']
-//   },
-//   nights: {
-//     type: Number,
-//     required: [true, 'Number of nights is required'],
-//     min: [1, 'Must stay at least one night']
-//   },
-//   adults: {
-//     type: Number,
-//     required: [true, 'Number of adults is required'],
-//     min: [1, 'At least one adult required']
-//   },
-//   children: {
-//     type: Number,
-//     default: 0,
-//     min: [0, 'Children cannot be negative']
-//   },
-//   totalAmount: {
-//     type: Number,
-//     required: [true, 'Total amount is required'],
-//     min: [0, 'Total amount must be positive']
-//   },
-//   paymentStatus: {
-//     type: String,
-//     enum: ['pending', 'paid', 'refunded', 'cancelled'],
-//     default: 'pending'
-//   },
-//   specialRequests: {
-//     type: String,
-//     trim: true
-//   },
-//   createdAt: {
-//     type: Date,
-//     default: Date.now
-//   }
-// });
-
-// module.exports = mongoose.model('Booking', bookingSchema);
-
 const mongoose = require('mongoose');
+const Counter = require('./Counter');
+const { ID_DOCUMENT_LABELS } = require('../services/register');
 
-const bookingSchema = new mongoose.Schema({
-  guestName: {
-    type: String,
-    required: true
-  },
-  guestPhone: {
-    type: String,
-    required: true
-  },
-  guestEmail: {
-    type: String
-  },
-  room: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'Room',
-    required: true
-  },
-  checkIn: {
-    type: Date,
-    required: true
-  },
-  checkOut: {
-    type: Date,
-    required: true
-  },
-  totalAmount: {
-    type: Number,
-    required: true
-  },
-  paymentStatus: {
-    type: String,
-    enum: ['Pending', 'Completed', 'Failed'],
-    default: 'Pending'
+const BOOKING_REF_PREFIX = process.env.BOOKING_REF_PREFIX || 'KYN';
+
+// Bookings in these states no longer hold their rooms
+const RELEASED_STATUSES = ['Cancelled', 'No-Show'];
+// Stays that are booked or in progress
+const ACTIVE_STATUSES = ['Confirmed', 'Checked-In'];
+// Languages guest notifications are written in
+const LANGUAGES = ['en', 'mr', 'hi'];
+
+// Guests recorded at check-in, for the guest register
+const guestSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  age: { type: Number, min: 0, max: 120 },
+  gender: { type: String, enum: ['male', 'female', 'other'] },
+  nationality: { type: String, trim: true, default: 'Indian' },
+  idType: { type: String, enum: Object.keys(ID_DOCUMENT_LABELS), required: true },
+  idNumber: { type: String, required: true, trim: true },
+  // File name in the guest ID upload folder
+  idImage: { type: String }
+});
+
+// A member of a group booking's party, in the room they were allocated
+const groupMemberSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  age: { type: Number, min: 0, max: 120 },
+  gender: { type: String, enum: ['male', 'female', 'other'] },
+  phone: { type: String, trim: true },
+  roomNumber: { type: String }
+});
+
+// Pilgrim parties and other groups booked as one. The customer fields of the
+// booking are the group leader's.
+const groupSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  headcount: { type: Number, required: true, min: 1 },
+  // Room types in order of preference, and the categories allowed; empty means any
+  preferences: {
+    roomTypes: [{ type: String }],
+    roomCategories: [{ type: String }]
   },
-  paymentMethod: {
-    type: String,
-    enum: ['Google Pay', 'Cash'],
-    default: 'Google Pay'
+  // Negotiated price per guest per night, charged instead of the room tariffs
+  ratePerGuestNight: { type: Number, min: 0 },
+  members: [groupMemberSchema]
+}, { _id: false });
+
+const bookingSchema = new mongoose.Schema({
+  // Reference guests and staff quote, e.g. KYN-2026-00421: the year the booking
+  // was made and its number within that year
+  bookingRef: { type: String },
+  // What confirmations sent before references were stored quoted: the last six
+  // characters of the id. Set by scripts/backfill-booking-refs.js.
+  legacyRef: { type: String },
+  customerName: { type: String, required: true },
+  customerPhone: { type: String, required: true },
+  customerEmail: { type: String },
+  customerAddress: { type: String },
+  // A group booking can mix rooms; it only has these when all its rooms agree
+  roomCategory: { type: String, enum: ['Suite', 'Standard'], required: function() { return !this.group; } },
+  roomType: { type: String, enum: ['AC', 'Non-AC', 'General'], required: function() { return !this.group; } },
+  selectedRooms: [{
+    roomNumber: { type: String, required: true },
+    roomCategory: { type: String },
+    type: { type: String },
+    // Guests of a group booking allocated to the room
+    occupants: { type: Number, min: 1 },
+    // Base nightly tariff of the room when booked
+    price: { type: Number, required: true },
+    // Quoted price of each night after pricing rules, and their sum
+    nightlyRates: [{
+      _id: false,
+      date: { type: Date, required: true },
+      price: { type: Number, required: true }
+    }],
+    amount: { type: Number }
+  }],
+  checkInDate: { type: Date, required: true },
+  checkOutDate: { type: Date, required: true },
+  arrivalTime: { type: Date },
+  totalAmount: { type: Number, required: true },
+  // Payment ledger: every amount received or refunded, oldest first
+  payments: [{
+    kind: { type: String, enum: ['payment', 'refund'], default: 'payment' },
+    amount: { type: Number, required: true, min: [0.01, 'Amount must be positive'] },
+    method: { type: String, enum: ['cash', 'upi', 'card', 'bank_transfer', 'gateway', 'other'], required: true },
+    reference: { type: String, trim: true },
+    // Storage key of the receipt (see services/paymentProofs)
+    proof: { type: String },
+    note: { type: String, trim: true },
+    collectedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+    receivedAt: { type: Date, default: Date.now }
+  }],
+  // Derived from the ledger on save
+  amountPaid: { type: Number, default: 0 },
+  // Positive when the guest owes money, negative when they are in credit
+  balanceDue: { type: Number },
+  paymentStatus: { type: String, enum: ['Pending', 'Partially Paid', 'Completed', 'Failed'], default: 'Pending' },
+  paymentMethod: { type: String, enum: ['online', 'cash'], default: 'online' },
+  // Storage key of the guest's payment screenshot; older bookings hold a
+  // /uploads/ path instead. Served to admins only.
+  paymentProof: { type: String },
+  // Orders raised with the online payment gateway, newest last
+  gatewayOrders: [{
+    provider: { type: String, required: true },
+    orderId: { type: String, required: true },
+    paymentId: { type: String },
+    amount: { type: Number, required: true },
+    currency: { type: String, default: 'INR' },
+    status: { type: String, enum: ['created', 'captured', 'failed'], default: 'created' },
+    failureReason: { type: String },
+    createdAt: { type: Date, default: Date.now },
+    capturedAt: { type: Date },
+    refunds: [{
+      refundId: { type: String },
+      amount: { type: Number, required: true },
+      status: { type: String, enum: ['pending', 'processed', 'failed'], default: 'pending' },
+      createdAt: { type: Date, default: Date.now }
+    }]
+  }],
+  specialRequests: { type: String },
+  group: { type: groupSchema, default: undefined },
+  // Language for guest notifications
+  language: { type: String, enum: LANGUAGES, default: 'en' },
+  // SMS/WhatsApp updates to customerPhone; guests can opt out per booking
+  messaging: {
+    channel: { type: String, enum: ['sms', 'whatsapp'], default: 'sms' },
+    optOut: { type: Boolean, default: false }
   },
-  createdAt: {
-    type: Date,
-    default: Date.now
+  bookingDate: { type: Date, default: Date.now },
+  bookingStatus: { type: String, enum: ['Confirmed', 'Checked-In', 'Cancelled', 'Completed', 'No-Show'], default: 'Confirmed' },
+  // Recorded at check-in
+  checkedInAt: { type: Date },
+  checkedInBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+  adults: { type: Number, min: 1 },
+  children: { type: Number, min: 0 },
+  comingFrom: { type: String, trim: true },
+  goingTo: { type: String, trim: true },
+  purposeOfVisit: { type: String, trim: true },
+  guests: [guestSchema],
+  checkedOutAt: { type: Date },
+  reminderSentAt: { type: Date },
+  noShowAt: { type: Date },
+  changeHistory: [{
+    changedAt: { type: Date, default: Date.now },
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+    note: { type: String },
+    previous: {
+      checkInDate: { type: Date },
+      checkOutDate: { type: Date },
+      roomType: { type: String },
+      selectedRooms: [{
+        roomNumber: { type: String },
+        price: { type: Number },
+        amount: { type: Number }
+      }],
+      totalAmount: { type: Number }
+    },
+    totalAmount: { type: Number },
+    balanceDue: { type: Number }
+  }],
+  cancellation: {
+    cancelledAt: { type: Date },
+    cancelledBy: { type: String, enum: ['guest', 'admin', 'system'] },
+    admin: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+    reason: { type: String },
+    cancellationCharge: { type: Number, min: 0 },
+    refundAmount: { type: Number, min: 0 }
   }
+}, { timestamps: true });
+
+// Derive amountPaid, balanceDue and paymentStatus from the payment ledger
+bookingSchema.methods.recalculatePayments = function() {
+  // Bookings from before the ledger only carry a paid amount or a Completed flag
+  if (this.payments.length === 0) {
+    const legacyPaid = this.amountPaid || (this.paymentStatus === 'Completed' ? this.totalAmount : 0);
+    if (legacyPaid > 0) {
+      this.payments.push({
+        amount: legacyPaid,
+        method: 'other',
+        note: 'Recorded before the payment ledger',
+        receivedAt: this.updatedAt || this.createdAt
+      });
+    }
+  }
+
+  this.amountPaid = this.payments.reduce(
+    (sum, entry) => sum + (entry.kind === 'refund' ? -entry.amount : entry.amount),
+    0
+  );
+  this.balanceDue = this.totalAmount - this.amountPaid;
+
+  if (this.amountPaid <= 0) {
+    // A failed gateway attempt stays visible until something is collected
+    this.paymentStatus = this.paymentStatus === 'Failed' ? 'Failed' : 'Pending';
+  } else if (this.amountPaid < this.totalAmount) {
+    this.paymentStatus = 'Partially Paid';
+  } else {
+    this.paymentStatus = 'Completed';
+  }
+
+  return this;
+};
+
+// The next booking reference for a booking made at `date`
+bookingSchema.statics.nextBookingRef = async function(date) {
+  const year = date.getUTCFullYear();
+  const seq = await Counter.next(`booking-${year}`);
+  return `${BOOKING_REF_PREFIX}-${year}-${String(seq).padStart(5, '0')}`;
+};
+
+// The reference to show guests and staff, falling back to the one older
+// confirmations quoted for bookings not yet given a reference
+bookingSchema.virtual('reference').get(function() {
+  return this.bookingRef || this._id.toString().slice(-6);
 });
 
-module.exports = mongoose.model('Booking', bookingSchema);
\ No newline at end of file
+// The booking with reference `ref`. Confirmations sent before references were
+// stored quoted the last six characters of the id instead; those still resolve,
+// though more than one booking can match them.
+bookingSchema.statics.findByRef = function(ref) {
+  const text = String(ref).trim();
+  if (/^[0-9a-f]{6}$/i.test(text)) {
+    return this.find({ legacyRef: text.toLowerCase() });
+  }
+  return this.find({ bookingRef: text.toUpperCase() });
+};
+
+// New bookings are numbered when first saved. The number is taken outside any
+// transaction so concurrent bookings never conflict on the counter; a booking
+// that fails after that leaves a gap in the sequence.
+bookingSchema.pre('save', async function() {
+  if (this.isNew && !this.bookingRef) {
+    this.bookingRef = await this.constructor.nextBookingRef(this.bookingDate || new Date());
+  }
+});
+
+bookingSchema.pre('save', function(next) {
+  this.recalculatePayments();
+  next();
+});
+
+// Indexes backing availability checks and the front desk booking search
+bookingSchema.index({ checkInDate: 1, checkOutDate: 1 });
+bookingSchema.index({ 'selectedRooms.roomNumber': 1, checkInDate: 1 });
+bookingSchema.index({ bookingStatus: 1, checkInDate: 1 });
+bookingSchema.index({ bookingRef: 1 }, { unique: true, sparse: true });
+bookingSchema.index({ legacyRef: 1 }, { sparse: true });
+bookingSchema.index({ customerPhone: 1 });
+bookingSchema.index({ createdAt: -1 });
+bookingSchema.index({ 'gatewayOrders.orderId': 1 });
+bookingSchema.index({ 'gatewayOrders.paymentId': 1 });
+
+const Booking = mongoose.model('Booking', bookingSchema);
+
+module.exports = Object.assign(Booking, { RELEASED_STATUSES, ACTIVE_STATUSES, LANGUAGES });
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// Named sequences for human-facing numbers (invoice numbers and the like)
+const counterSchema = new mongoose.Schema({
+  _id: { type: String, required: true },
+  seq: { type: Number, default: 0 }
+});
+
+// Atomically increment and return the next value of a sequence
+counterSchema.statics.next = async function(name, options = {}) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session: options.session }
+  );
+  return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
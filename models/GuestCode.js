@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// One-time code a guest signs in to the booking portal with. Only a hash of
+// the code is stored, and each booking has at most one code at a time.
+const guestCodeSchema = new mongoose.Schema({
+  booking: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking', required: true },
+  codeHash: { type: String, required: true },
+  channel: { type: String, enum: ['email', 'sms', 'whatsapp'], required: true },
+  expiresAt: { type: Date, required: true },
+  // Wrong guesses; the code stops working after a few
+  attempts: { type: Number, default: 0 },
+  createdAt: { type: Date, default: Date.now }
+});
+
+guestCodeSchema.index({ booking: 1 });
+// Expired codes are cleared out after a day
+guestCodeSchema.index({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('GuestCode', guestCodeSchema);
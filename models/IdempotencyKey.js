@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// A client-supplied Idempotency-Key and the response it produced, so a retried
+// or double-submitted request gets the original response instead of running twice
+const idempotencyKeySchema = new mongoose.Schema({
+  key: { type: String, required: true },
+  // The operation the key was used for; the same key may be reused elsewhere
+  scope: { type: String, required: true },
+  // Hash of the request body; reusing a key for a different request is an error
+  fingerprint: { type: String, required: true },
+  status: { type: String, enum: ['processing', 'completed'], default: 'processing' },
+  responseStatus: { type: Number },
+  responseBody: { type: mongoose.Schema.Types.Mixed },
+  createdAt: { type: Date, default: Date.now }
+});
+
+idempotencyKeySchema.index({ key: 1, scope: 1 }, { unique: true });
+// Keys are honoured for a day
+idempotencyKeySchema.index({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
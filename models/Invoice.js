@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+const moneyLine = {
+  taxableValue: { type: Number, required: true },
+  cgst: { type: Number, required: true },
+  sgst: { type: Number, required: true },
+  total: { type: Number, required: true }
+};
+
+// A snapshot of the bill for a booking. Amounts are frozen at issue time so the
+// invoice does not change if rooms are repriced later.
+const invoiceSchema = new mongoose.Schema({
+  invoiceNumber: { type: String, required: true, unique: true },
+  booking: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking', required: true, unique: true },
+  bookingRef: { type: String },
+  issuedAt: { type: Date, default: Date.now },
+  issuedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+  seller: {
+    name: { type: String },
+    address: { type: String },
+    phone: { type: String },
+    gstin: { type: String }
+  },
+  billTo: {
+    name: { type: String, required: true },
+    phone: { type: String },
+    email: { type: String },
+    address: { type: String },
+    gstin: { type: String, uppercase: true, trim: true }
+  },
+  stay: {
+    checkInDate: { type: Date },
+    checkOutDate: { type: Date },
+    nights: { type: Number }
+  },
+  lineItems: [{
+    description: { type: String, required: true },
+    sac: { type: String },
+    date: { type: Date },
+    roomNumber: { type: String },
+    rate: { type: Number, required: true },
+    gstRate: { type: Number, required: true },
+    ...moneyLine
+  }],
+  taxSummary: [{
+    gstRate: { type: Number, required: true },
+    ...moneyLine
+  }],
+  totals: moneyLine,
+  payments: [{
+    kind: { type: String },
+    method: { type: String },
+    reference: { type: String },
+    amount: { type: Number },
+    receivedAt: { type: Date }
+  }],
+  amountPaid: { type: Number, default: 0 },
+  balanceDue: { type: Number, default: 0 }
+}, { timestamps: true });
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
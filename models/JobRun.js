@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// One execution of a scheduled job. A 'running' entry doubles as the job's lock:
+// at most one can exist per job, so overlapping triggers skip instead of racing.
+const jobRunSchema = new mongoose.Schema({
+  job: { type: String, required: true },
+  trigger: { type: String, enum: ['interval', 'cron', 'manual'], required: true },
+  status: { type: String, enum: ['running', 'succeeded', 'failed'], default: 'running' },
+  startedAt: { type: Date, default: Date.now },
+  finishedAt: { type: Date },
+  // A run still 'running' after this is assumed dead and its lock released
+  lockedUntil: { type: Date },
+  result: { type: mongoose.Schema.Types.Mixed },
+  error: { type: String }
+});
+
+jobRunSchema.index({ job: 1 }, { unique: true, partialFilterExpression: { status: 'running' } });
+jobRunSchema.index({ job: 1, startedAt: -1 });
+// Keep 90 days of history
+jobRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('JobRun', jobRunSchema);
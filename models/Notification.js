@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// Outbox entry for a guest or staff message. Messages are rendered when queued
+// and delivered (and retried) separately, so a failed send is never lost.
+const notificationSchema = new mongoose.Schema({
+  booking: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking' },
+  event: { type: String, required: true },
+  channel: { type: String, enum: ['email', 'sms', 'whatsapp'], default: 'email' },
+  language: { type: String, default: 'en' },
+  from: { type: String },
+  to: { type: String, required: true },
+  subject: { type: String },
+  html: { type: String },
+  // Plain-text body for SMS and WhatsApp
+  body: { type: String },
+  attachments: [{
+    _id: false,
+    filename: { type: String, required: true },
+    contentType: { type: String },
+    content: { type: Buffer, required: true }
+  }],
+  // pending: waiting for its next attempt; sending: claimed by a worker;
+  // sent: delivered; failed: gave up after maxAttempts
+  status: { type: String, enum: ['pending', 'sending', 'sent', 'failed'], default: 'pending' },
+  attempts: { type: Number, default: 0 },
+  maxAttempts: { type: Number, default: 6 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lockedUntil: { type: Date },
+  lastError: { type: String },
+  sentAt: { type: Date },
+  providerMessageId: { type: String }
+}, { timestamps: true });
+
+notificationSchema.index({ booking: 1, createdAt: -1 });
+notificationSchema.index({ status: 1, nextAttemptAt: 1 });
+
+// Delivery status only; rendered bodies and attachment data stay server-side
+notificationSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.html;
+    ret.attachments = (ret.attachments || []).map(({ filename, contentType }) => ({ filename, contentType }));
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Notification', notificationSchema);
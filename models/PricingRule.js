@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// A seasonal, festival or weekend tariff adjustment. A rule applies to a night
+// when the night falls within its date range (if any) and on one of its days of
+// the week (if any), for rooms matching its category and type (if set).
+const pricingRuleSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  description: { type: String, trim: true },
+  startDate: { type: Date },
+  endDate: { type: Date },
+  daysOfWeek: {
+    type: [{ type: Number, min: 0, max: 6 }],
+    default: []
+  },
+  roomCategory: { type: String, enum: ['Suite', 'Standard'] },
+  roomType: { type: String, enum: ['AC', 'Non-AC', 'General'] },
+  // percentage: +/- percent of the running price; fixed: +/- rupees per night;
+  // override: replace the running price
+  adjustmentType: { type: String, enum: ['percentage', 'fixed', 'override'], default: 'percentage' },
+  value: { type: Number, default: 0 },
+  // Stays that include any night covered by this rule must be at least this long
+  minNights: { type: Number, min: 1 },
+  // Rules are applied in ascending priority, so higher priorities win overrides
+  priority: { type: Number, default: 0 },
+  isActive: { type: Boolean, default: true }
+}, { timestamps: true });
+
+pricingRuleSchema.path('endDate').validate(function(endDate) {
+  return !endDate || !this.startDate || endDate >= this.startDate;
+}, 'End date must be on or after start date');
+
+pricingRuleSchema.index({ isActive: 1, startDate: 1, endDate: 1 });
+
+module.exports = mongoose.model('PricingRule', pricingRuleSchema);
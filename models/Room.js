@@ -1,83 +1,52 @@
-// const mongoose = require('mongoose');
-
-// const roomSchema = new mongoose.Schema({
-//   roomNumber: { 
-//     type: String, 
-//     required: true,
-//     unique: true,
-//     trim: true
-//   },
-//   roomType: { 
-//     type: String, 
-//     required: true,
-//     enum: ['standard', 'deluxe', 'suite', 'executive', 'presidential']
-//   },
-//   price: { 
-//     type: Number, 
-//     required: true,
-//     min: 0
-//   },
-//   capacity: { 
-//     type: Number, 
-//     required: true,
-//     min: 1,
-//     max: 4
-//   },
-//   description: {
-//     type: String,
-//     trim: true
-//   },
-//   amenities: [{
-//     type: String,
-//     enum: ['wifi', 'ac', 'tv', 'minibar', 'bathtub', 'roomservice']
-//   }],
-//   images: [{
-//     type: String
-//   }],
-//   status: {
-//     type: String,
-//     enum: ['available', 'booked', 'maintenance'],
-//     default: 'available'
-//   },
-//   quantity: {
-//     type: Number,
-//     required: true,
-//     default: 1,
-//     min: [0, 'Quantity cannot be negative']
-//   },
-// }, {
-//   timestamps: true
-// });
-
-// module.exports = mongoose.model('Room', roomSchema);
-
-
-
 const mongoose = require('mongoose');
 
 const roomSchema = new mongoose.Schema({
-  roomType: {
-    type: String,
-    enum: ['AC', 'Non-AC', 'General'],
-    required: true
-  },
-  roomNumber: {
-    type: String,
+  roomCategory: { type: String, enum: ['Suite', 'Standard'], required: true },
+  type: { type: String, enum: ['AC', 'Non-AC', 'General'], required: true },
+  roomNumber: { type: String, required: true, unique: true, trim: true },
+  price: { type: Number, required: true, min: [0, 'Price cannot be negative'] },
+  capacity: {
+    type: Number,
     required: true,
-    unique: true
+    min: [1, 'Capacity must be at least 1'],
+    max: [10, 'Capacity cannot exceed 10'],
+    validate: { validator: Number.isInteger, message: 'Capacity must be a whole number' }
   },
-  price: {
-    type: Number,
-    required: true
+  amenities: {
+    type: [{ type: String, trim: true, maxlength: 50 }],
+    default: []
   },
-  isAvailable: {
-    type: Boolean,
-    default: true
+  // Housekeeping state, independent of whether the room is booked
+  housekeepingStatus: {
+    type: String,
+    enum: ['Clean', 'Dirty', 'Inspected', 'Out of Order'],
+    default: 'Clean'
   },
-  bookedDates: [{
-    checkIn: Date,
-    checkOut: Date
-  }]
-});
+  housekeepingUpdatedAt: { type: Date },
+  // Retired rooms are kept for existing bookings but no longer offered
+  isRetired: { type: Boolean, default: false },
+  retiredAt: { type: Date }
+}, { timestamps: true });
+
+// Insert rooms that do not exist yet, matched by roomNumber. With `update`,
+// existing rooms are also overwritten with the seed values.
+roomSchema.statics.seed = async function(rooms, { update = false } = {}) {
+  const operations = rooms.map(room => ({
+    updateOne: {
+      filter: { roomNumber: room.roomNumber },
+      update: update ? { $set: room } : { $setOnInsert: room },
+      upsert: true
+    }
+  }));
+
+  // Validate seed data up front, since bulkWrite skips schema validators
+  await Promise.all(rooms.map(room => new this(room).validate()));
+
+  const result = await this.bulkWrite(operations, { ordered: false });
+  return {
+    inserted: result.upsertedCount,
+    updated: result.modifiedCount
+  };
+};
 
-module.exports = mongoose.model('Room', roomSchema);
\ No newline at end of file
+module.exports = mongoose.model('Room', roomSchema);
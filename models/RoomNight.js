@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// One document per room per night it is taken, either by a booking or by a
+// short-lived hold while a guest completes the booking form. The unique index
+// makes two claims on the same room night fail atomically, even when both
+// requests pass the availability check at the same moment.
+const roomNightSchema = new mongoose.Schema({
+  roomNumber: { type: String, required: true },
+  // UTC midnight of the night
+  night: { type: Date, required: true },
+  booking: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking' },
+  // Holds are identified by their token and removed by MongoDB once they expire
+  holdToken: { type: String },
+  expiresAt: { type: Date }
+});
+
+roomNightSchema.index({ roomNumber: 1, night: 1 }, { unique: true });
+roomNightSchema.index({ booking: 1 });
+roomNightSchema.index({ holdToken: 1 }, { sparse: true });
+roomNightSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+roomNightSchema.pre('validate', function(next) {
+  if (!this.booking === !this.holdToken) {
+    return next(new Error('A room night belongs to either a booking or a hold'));
+  }
+  next();
+});
+
+// Claim every night of a stay for the given rooms, for `owner` ({ booking } or
+// { holdToken, expiresAt }). Throws a duplicate key error when any of them is taken.
+roomNightSchema.statics.reserve = async function(owner, roomNumbers, nights, session, now = new Date()) {
+  // The TTL monitor only runs about once a minute, so clear lapsed holds first
+  await this.deleteMany({
+    roomNumber: { $in: roomNumbers },
+    night: { $in: nights },
+    expiresAt: { $lte: now }
+  }, { session });
+
+  const docs = roomNumbers.flatMap(roomNumber => nights.map(night => ({ roomNumber, night, ...owner })));
+  return this.insertMany(docs, { session });
+};
+
+roomNightSchema.statics.release = function(bookingId, session) {
+  return this.deleteMany({ booking: bookingId }, { session });
+};
+
+// Give back a booking's nights from `night` onward, as when a guest leaves early
+roomNightSchema.statics.releaseFrom = function(bookingId, night, session) {
+  return this.deleteMany({ booking: bookingId, night: { $gte: night } }, { session });
+};
+
+roomNightSchema.statics.releaseHold = function(holdToken, session) {
+  return this.deleteMany({ holdToken }, { session });
+};
+
+// The unexpired nights of a hold, or an empty list
+roomNightSchema.statics.findHold = function(holdToken, session, now = new Date()) {
+  return this.find({ holdToken: String(holdToken), expiresAt: { $gt: now } })
+    .sort({ roomNumber: 1, night: 1 })
+    .session(session || null);
+};
+
+// Whether an error from reserve() means one of the nights is already taken.
+// Concurrent transactions on the same night surface as a write conflict instead.
+// Other writes that race on a unique key, such as issuing an invoice, use it too.
+roomNightSchema.statics.isConflict = function(error) {
+  return error.code === 11000 ||
+    error.code === 112 ||
+    (error.writeErrors || []).some(writeError => writeError.code === 11000);
+};
+
+module.exports = mongoose.model('RoomNight', roomNightSchema);
@@ -0,0 +1,155 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const rateLimit = require('express-rate-limit');
+const Admin = require('../models/Admin');
+const v = require('../services/validation');
+const { requireAdmin, issueAdminToken } = require('../middleware/auth');
+
+const ADMIN_ROLES = Admin.schema.path('role').enumValues;
+
+const loginRequest = v.object({
+  username: v.string({ max: 100 }),
+  password: v.string({ max: 200, trim: false })
+});
+
+const passwordSchema = v.string({ min: 8, max: 200, trim: false });
+
+const changePasswordRequest = v.object({
+  currentPassword: v.string({ max: 200, trim: false }),
+  newPassword: passwordSchema
+});
+
+const createAdminRequest = v.object({
+  username: v.string({
+    min: 3,
+    max: 50,
+    pattern: /^[\w.-]+$/,
+    patternMessage: 'username may only contain letters, digits, dots, dashes and underscores'
+  }),
+  password: passwordSchema,
+  phone: v.phone(),
+  role: v.oneOf(ADMIN_ROLES).optional()
+});
+
+const updateAdminRequest = v.object({
+  phone: v.phone().optional(),
+  role: v.oneOf(ADMIN_ROLES).optional(),
+  isActive: v.boolean().optional(),
+  password: passwordSchema.optional()
+});
+
+// Staff login and admin account management
+function createAdminRouter({ clock }) {
+  const router = express.Router();
+
+  const loginLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    limit: 10,
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: { message: 'Too many login attempts, please try again later', code: 'RATE_LIMITED' }
+  });
+
+  // Admin login
+  router.post('/admin/login', loginLimiter, v.validate({ body: loginRequest }), async (req, res, next) => {
+    try {
+      const { username, password } = req.body;
+
+      const admin = await Admin.findOne({ username });
+      if (!admin || !admin.isActive || !(await admin.comparePassword(password))) {
+        return res.status(401).json({ message: 'Invalid username or password', code: 'INVALID_CREDENTIALS' });
+      }
+
+      admin.lastLoginAt = clock.now();
+      await admin.save();
+
+      res.json({ token: issueAdminToken(admin), admin });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Current admin profile
+  router.get('/admin/me', requireAdmin(), (req, res) => {
+    res.json(req.admin);
+  });
+
+  // Change own password
+  router.put('/admin/me/password', requireAdmin(), v.validate({ body: changePasswordRequest }), async (req, res, next) => {
+    try {
+      const { currentPassword, newPassword } = req.body;
+
+      if (!(await req.admin.comparePassword(currentPassword))) {
+        return res.status(401).json({ message: 'Current password is incorrect', code: 'INVALID_CREDENTIALS' });
+      }
+
+      req.admin.password = newPassword;
+      await req.admin.save();
+
+      res.json({ message: 'Password updated successfully' });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // List admin accounts
+  router.get('/admin/users', requireAdmin('owner'), async (req, res, next) => {
+    try {
+      const admins = await Admin.find().sort({ createdAt: 1 });
+      res.json(admins);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Create an admin account
+  router.post('/admin/users', requireAdmin('owner'), v.validate({ body: createAdminRequest }), async (req, res, next) => {
+    try {
+      const { username, password, phone, role } = req.body;
+
+      const admin = await Admin.create({ username, password, phone, role });
+
+      res.status(201).json(admin);
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({ message: 'Username already exists', code: 'DUPLICATE_USERNAME' });
+      }
+      next(error);
+    }
+  });
+
+  // Update an admin account (role, phone, active flag or password reset)
+  router.put('/admin/users/:id', requireAdmin('owner'), v.validate({ body: updateAdminRequest }), async (req, res, next) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ message: 'Admin not found', code: 'ADMIN_NOT_FOUND' });
+      }
+
+      const admin = await Admin.findById(req.params.id);
+      if (!admin) {
+        return res.status(404).json({ message: 'Admin not found', code: 'ADMIN_NOT_FOUND' });
+      }
+
+      const { phone, role, isActive, password } = req.body;
+
+      if (admin._id.equals(req.admin._id) && ((role !== undefined && role !== 'owner') || isActive === false)) {
+        return res.status(400).json({ message: 'You cannot demote or deactivate your own account', code: 'CANNOT_CHANGE_OWN_ACCOUNT' });
+      }
+
+      if (phone !== undefined) admin.phone = phone;
+      if (role !== undefined) admin.role = role;
+      if (isActive !== undefined) admin.isActive = isActive;
+      if (password !== undefined) admin.password = password;
+
+      await admin.save();
+
+      res.json(admin);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAdminRouter };
@@ -0,0 +1,469 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const Room = require('../models/Room');
+const RoomNight = require('../models/RoomNight');
+const v = require('../services/validation');
+const { requireAdmin } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const { uploadPaymentProof } = require('../middleware/uploads');
+const { nightsBetween, dayKey } = require('../services/pricing');
+const { ROOM_NIGHT_CONFLICT, bookedNightlyRates } = require('../services/availability');
+const {
+  ROOM_CATEGORIES,
+  ROOM_TYPES,
+  paginationQuery,
+  newStayFields,
+  checkOutAfterCheckIn,
+  checkInNotInPast,
+  inFilter
+} = require('./shared');
+
+// Fields the booking list can be sorted by
+const BOOKING_SORT_FIELDS = ['createdAt', 'checkInDate', 'checkOutDate', 'customerName', 'totalAmount', 'bookingDate'];
+
+function escapeRegex(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Build a date range condition from optional from/to query values
+function dateRange(from, to) {
+  const range = {};
+  if (from) range.$gte = new Date(from);
+  if (to) range.$lte = new Date(to);
+  return Object.keys(range).length > 0 ? range : null;
+}
+
+const enumValues = (path) => Booking.schema.path(path).enumValues;
+
+const listBookingsQuery = v.object({
+  checkInFrom: v.date().optional(),
+  checkInTo: v.date().optional(),
+  checkOutFrom: v.date().optional(),
+  checkOutTo: v.date().optional(),
+  bookingStatus: v.list(v.oneOf(enumValues('bookingStatus'))).optional(),
+  paymentStatus: v.list(v.oneOf(enumValues('paymentStatus'))).optional(),
+  paymentMethod: v.list(v.oneOf(enumValues('paymentMethod'))).optional(),
+  roomCategory: v.list(v.oneOf(ROOM_CATEGORIES)).optional(),
+  roomType: v.list(v.oneOf(ROOM_TYPES)).optional(),
+  roomNumber: v.string({ max: 20 }).optional(),
+  q: v.string({ max: 100 }).optional(),
+  sort: v.oneOf(BOOKING_SORT_FIELDS.flatMap(field => [field, `-${field}`])).default('-createdAt'),
+  ...paginationQuery
+});
+
+const cancellationReason = v.string({ max: 500 }).optional();
+
+const adminCancelRequest = v.object({
+  reason: cancellationReason,
+  refundAmount: v.number({ min: 0 }).optional()
+});
+
+// Making, finding, amending, cancelling and checking out bookings
+function createBookingsRouter({ db, clock, availability, bookings, notifyBooking, paymentProofs }) {
+  const router = express.Router();
+  const { priceRoomSelection, reserveRoomNights } = availability;
+
+  // Sent as multipart form fields, alongside the optional payment proof
+  const createBookingRequest = v.object({
+    ...newStayFields,
+    holdToken: v.string({ max: 100 }).optional(),
+    customerName: v.string({ max: 100 }),
+    customerPhone: v.phone(),
+    customerEmail: v.email().optional(),
+    customerAddress: v.string({ max: 500 }).optional(),
+    arrivalTime: v.date().optional(),
+    paymentMethod: v.oneOf(enumValues('paymentMethod')).default('online'),
+    specialRequests: v.string({ max: 1000 }).optional(),
+    language: v.oneOf(Booking.LANGUAGES).optional(),
+    messagingChannel: v.oneOf(['sms', 'whatsapp']).default('sms'),
+    messagingOptOut: v.boolean().default(false)
+  })
+    .refine(checkOutAfterCheckIn('checkInDate', 'checkOutDate'))
+    .refine(checkInNotInPast('checkInDate', clock));
+
+  // Only the fields being changed are sent
+  const modifyBookingRequest = v.object({
+    ...v.partial(newStayFields),
+    note: v.string({ max: 500 }).optional()
+  })
+    .refine(checkOutAfterCheckIn('checkInDate', 'checkOutDate'))
+    .refine(checkInNotInPast('checkInDate', clock));
+
+  // Create booking
+  router.post('/bookings', uploadPaymentProof.single('paymentProof'), v.validate({ body: createBookingRequest }), idempotent('create-booking', { clock }), async (req, res, next) => {
+    const session = await db.startSession();
+    session.startTransaction();
+
+    let paymentProof;
+    try {
+      const formData = req.body;
+      const { checkInDate, checkOutDate } = formData;
+
+      // Rooms are held (POST /api/holds) while the guest fills in the form
+      const { holdToken } = formData;
+      if (!holdToken) {
+        await session.abortTransaction();
+        return res.status(400).json({ message: 'Hold the rooms before booking them', code: 'HOLD_REQUIRED' });
+      }
+
+      const heldNights = await RoomNight.findHold(holdToken, session, clock.now());
+      if (heldNights.length === 0) {
+        await session.abortTransaction();
+        return res.status(409).json({ message: 'Your room hold has expired, please select the rooms again', code: 'HOLD_EXPIRED' });
+      }
+
+      const selection = await priceRoomSelection({
+        requestedRooms: formData.selectedRooms,
+        roomType: formData.roomType,
+        checkInDate,
+        checkOutDate,
+        session,
+        holdToken
+      });
+      if (selection.error) {
+        await session.abortTransaction();
+        return res.status(selection.error.status).json(selection.error.body);
+      }
+
+      const { selectedRooms, totalAmount, roomCategory } = selection;
+
+      // The hold must cover exactly the rooms and nights being booked
+      const nightKey = (roomNumber, night) => `${roomNumber}|${dayKey(night)}`;
+      const held = new Set(heldNights.map(entry => nightKey(entry.roomNumber, entry.night)));
+      const wanted = selectedRooms.flatMap(room =>
+        nightsBetween(checkInDate, checkOutDate).map(night => nightKey(room.roomNumber, night))
+      );
+      if (wanted.length !== held.size || !wanted.every(key => held.has(key))) {
+        await session.abortTransaction();
+        return res.status(409).json({ message: 'The rooms or dates differ from the ones on hold', code: 'HOLD_MISMATCH' });
+      }
+
+      // Stored only once the booking is otherwise acceptable
+      if (req.file) {
+        paymentProof = await paymentProofs.save(req.file);
+      }
+
+      const booking = new Booking({
+        customerName: formData.customerName,
+        customerPhone: formData.customerPhone,
+        customerEmail: formData.customerEmail,
+        customerAddress: formData.customerAddress,
+        roomCategory: roomCategory,
+        roomType: formData.roomType,
+        selectedRooms,
+        checkInDate,
+        checkOutDate,
+        arrivalTime: formData.arrivalTime,
+        totalAmount,
+        paymentMethod: formData.paymentMethod,
+        paymentStatus: formData.paymentMethod === 'cash' ? 'Pending' : 'Pending',
+        paymentProof,
+        specialRequests: formData.specialRequests,
+        language: formData.language,
+        messaging: {
+          channel: formData.messagingChannel,
+          optOut: formData.messagingOptOut
+        },
+        bookingDate: clock.now()
+      });
+
+      await RoomNight.releaseHold(holdToken, session);
+      await reserveRoomNights(booking, session);
+      const savedBooking = await booking.save({ session });
+
+      await session.commitTransaction();
+
+      // Send emails
+      const notified = await notifyBooking(savedBooking, 'confirmation', { adminEvent: 'admin-booking', text: true });
+
+      res.status(201).json({
+        ...savedBooking.toObject(),
+        ...notified,
+        message: 'Booking created successfully'
+      });
+
+    } catch (error) {
+      await session.abortTransaction();
+      if (paymentProof) {
+        await paymentProofs.remove(paymentProof).catch(() => {});
+      }
+      if (RoomNight.isConflict(error)) {
+        return res.status(409).json(ROOM_NIGHT_CONFLICT);
+      }
+      next(error);
+    } finally {
+      session.endSession();
+    }
+
+  });
+
+  // List and search bookings for the front desk
+  router.get('/bookings', requireAdmin(), v.validate({ query: listBookingsQuery }), async (req, res, next) => {
+    try {
+      const {
+        checkInFrom, checkInTo, checkOutFrom, checkOutTo,
+        bookingStatus, paymentStatus, paymentMethod, roomCategory, roomType,
+        roomNumber, q, sort, page, limit
+      } = req.query;
+
+      const query = {};
+
+      const checkInRange = dateRange(checkInFrom, checkInTo);
+      if (checkInRange) query.checkInDate = checkInRange;
+
+      const checkOutRange = dateRange(checkOutFrom, checkOutTo);
+      if (checkOutRange) query.checkOutDate = checkOutRange;
+
+      if (bookingStatus) query.bookingStatus = inFilter(bookingStatus);
+      if (paymentStatus) query.paymentStatus = inFilter(paymentStatus);
+      if (paymentMethod) query.paymentMethod = inFilter(paymentMethod);
+      if (roomCategory) query.roomCategory = inFilter(roomCategory);
+      if (roomType) query.roomType = inFilter(roomType);
+      if (roomNumber) query['selectedRooms.roomNumber'] = roomNumber;
+
+      if (q) {
+        const pattern = new RegExp(escapeRegex(q), 'i');
+        query.$or = [{ customerName: pattern }, { customerPhone: pattern }, { bookingRef: pattern }];
+      }
+
+      const sortField = sort.replace(/^-/, '');
+      const sortOrder = sort.startsWith('-') ? -1 : 1;
+
+      const [results, total] = await Promise.all([
+        Booking.find(query)
+          .sort({ [sortField]: sortOrder, _id: sortOrder })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        Booking.countDocuments(query)
+      ]);
+
+      res.json({
+        bookings: results,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Find a booking by the reference the guest quotes, e.g. KYN-2026-00421, or the
+  // 6-character reference on older confirmations
+  router.get('/bookings/ref/:ref', requireAdmin(), async (req, res, next) => {
+    try {
+      const matches = await Booking.findByRef(req.params.ref)
+        .populate('cancellation.admin', 'username role');
+      if (matches.length === 0) {
+        return res.status(404).json({ message: 'Booking not found', code: 'BOOKING_NOT_FOUND' });
+      }
+
+      // Older references are short enough to be shared by more than one booking
+      if (matches.length > 1) {
+        return res.status(409).json({
+          message: 'More than one booking has this reference',
+          code: 'AMBIGUOUS_BOOKING_REF',
+          bookings: matches.map(({ _id, customerName, checkInDate, checkOutDate }) => ({ _id, customerName, checkInDate, checkOutDate }))
+        });
+      }
+
+      res.json(matches[0]);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Get a single booking
+  router.get('/bookings/:id', requireAdmin(), async (req, res, next) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ message: 'Booking not found', code: 'BOOKING_NOT_FOUND' });
+      }
+
+      const booking = await Booking.findById(req.params.id).populate('cancellation.admin', 'username role');
+      if (!booking) {
+        return res.status(404).json({ message: 'Booking not found', code: 'BOOKING_NOT_FOUND' });
+      }
+
+      res.json(booking);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Amend dates or rooms on an existing booking and re-price it
+  router.put('/bookings/:id', requireAdmin(), v.validate({ body: modifyBookingRequest }), async (req, res, next) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Booking not found', code: 'BOOKING_NOT_FOUND' });
+    }
+
+    const session = await db.startSession();
+    session.startTransaction();
+
+    try {
+      const booking = await Booking.findById(req.params.id).session(session);
+      if (!booking) {
+        await session.abortTransaction();
+        return res.status(404).json({ message: 'Booking not found', code: 'BOOKING_NOT_FOUND' });
+      }
+
+      if (!Booking.ACTIVE_STATUSES.includes(booking.bookingStatus)) {
+        await session.abortTransaction();
+        return res.status(409).json({
+          message: `Cannot modify a ${booking.bookingStatus.toLowerCase()} booking`,
+          code: 'BOOKING_NOT_MODIFIABLE'
+        });
+      }
+
+      // A group's rooms are allocated together from its headcount
+      if (booking.group) {
+        await session.abortTransaction();
+        return res.status(409).json({
+          message: 'Group bookings cannot be amended room by room; cancel and book the group again',
+          code: 'GROUP_BOOKING_NOT_MODIFIABLE'
+        });
+      }
+
+      // Once the guest is in, the stay can only be shortened or extended
+      if (req.body.checkInDate && booking.bookingStatus === 'Checked-In' &&
+        req.body.checkInDate.getTime() !== booking.checkInDate.getTime()) {
+        await session.abortTransaction();
+        return res.status(409).json({
+          message: 'The check-in date cannot change after the guest has checked in',
+          code: 'GUEST_CHECKED_IN'
+        });
+      }
+
+      const { note } = req.body;
+      const checkInDate = req.body.checkInDate || booking.checkInDate;
+      const checkOutDate = req.body.checkOutDate || booking.checkOutDate;
+
+      let requestedRooms = req.body.selectedRooms;
+      const roomsChanged = requestedRooms !== undefined;
+      if (!roomsChanged) {
+        requestedRooms = booking.selectedRooms.map(room => ({ roomNumber: room.roomNumber }));
+      }
+
+      // A room swap may change the type (e.g. Non-AC to AC); default to the new rooms' type
+      let roomType = req.body.roomType || booking.roomType;
+      if (!req.body.roomType && roomsChanged) {
+        const firstRoom = await Room.findOne({ roomNumber: requestedRooms[0].roomNumber }).session(session);
+        if (firstRoom) roomType = firstRoom.type;
+      }
+
+      // Nights the guest keeps stay at the rate they were booked at
+      const keepRates = Object.fromEntries(booking.selectedRooms.map(room => [
+        room.roomNumber,
+        Object.fromEntries(
+          bookedNightlyRates(room, booking.checkInDate, booking.checkOutDate)
+            .map(rate => [dayKey(rate.date), rate.price])
+        )
+      ]));
+
+      const selection = await priceRoomSelection({
+        requestedRooms,
+        roomType,
+        checkInDate,
+        checkOutDate,
+        session,
+        excludeBookingId: booking._id,
+        keepRates
+      });
+      if (selection.error) {
+        await session.abortTransaction();
+        return res.status(selection.error.status).json(selection.error.body);
+      }
+
+      const previous = {
+        checkInDate: booking.checkInDate,
+        checkOutDate: booking.checkOutDate,
+        roomType: booking.roomType,
+        selectedRooms: booking.selectedRooms.map(room => ({ roomNumber: room.roomNumber, price: room.price, amount: room.amount })),
+        totalAmount: booking.totalAmount
+      };
+
+      booking.checkInDate = checkInDate;
+      booking.checkOutDate = checkOutDate;
+      booking.roomType = roomType;
+      booking.roomCategory = selection.roomCategory;
+      booking.selectedRooms = selection.selectedRooms;
+      booking.totalAmount = selection.totalAmount;
+
+      // Money already collected now leaves a balance due or a credit
+      booking.recalculatePayments();
+
+      booking.changeHistory.push({
+        changedAt: clock.now(),
+        changedBy: req.admin._id,
+        note: note || undefined,
+        previous,
+        totalAmount: booking.totalAmount,
+        balanceDue: booking.balanceDue
+      });
+
+      await reserveRoomNights(booking, session);
+      await booking.save({ session });
+
+      await session.commitTransaction();
+
+      const { emailSent } = await notifyBooking(booking, 'update', {
+        adminEvent: 'admin-booking',
+        extras: { isUpdate: true }
+      });
+
+      res.json({
+        ...booking.toObject(),
+        emailSent,
+        message: 'Booking updated successfully'
+      });
+    } catch (error) {
+      await session.abortTransaction();
+      if (RoomNight.isConflict(error)) {
+        return res.status(409).json(ROOM_NIGHT_CONFLICT);
+      }
+      next(error);
+    } finally {
+      session.endSession();
+    }
+  });
+
+  // Staff-initiated cancellation. Owners may override the policy refund amount.
+  router.put('/admin/bookings/:id/cancel', requireAdmin(), v.validate({ body: adminCancelRequest }), async (req, res, next) => {
+    try {
+      const { reason, refundAmount } = req.body;
+
+      if (refundAmount !== undefined && req.admin.role !== 'owner') {
+        return res.status(403).json({ message: 'Only owners can override the refund amount', code: 'FORBIDDEN' });
+      }
+
+      const result = await bookings.cancelBooking(req.params.id, {
+        cancelledBy: 'admin',
+        admin: req.admin,
+        reason,
+        refundAmount
+      });
+
+      res.status(result.status).json(result.body);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Checkout and send the rooms to housekeeping
+  router.put('/bookings/:id/checkout', requireAdmin(), async (req, res, next) => {
+    try {
+      const result = await bookings.checkOutBooking(req.params.id, { admin: req.admin });
+      res.status(result.status).json(result.body);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createBookingsRouter };
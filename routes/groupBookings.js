@@ -0,0 +1,254 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const RoomNight = require('../models/RoomNight');
+const v = require('../services/validation');
+const { ApiError } = require('../services/errors');
+const { requireAdmin } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const { ROOM_NIGHT_CONFLICT } = require('../services/availability');
+const { ROOM_CATEGORIES, ROOM_TYPES, checkOutAfterCheckIn, checkInNotInPast } = require('./shared');
+
+const MAX_GROUP_SIZE = 200;
+
+// The party and where it would like to stay
+const groupStayFields = {
+  checkInDate: v.date(),
+  checkOutDate: v.date(),
+  headcount: v.number({ integer: true, min: 2, max: MAX_GROUP_SIZE }),
+  // Room types in order of preference, and the categories the group accepts
+  roomTypes: v.array(v.oneOf(ROOM_TYPES), { min: 1, max: ROOM_TYPES.length }).optional(),
+  roomCategories: v.array(v.oneOf(ROOM_CATEGORIES), { min: 1, max: ROOM_CATEGORIES.length }).optional()
+};
+
+const groupMembers = v.array(v.object({
+  name: v.string({ max: 100 }),
+  age: v.number({ integer: true, min: 0, max: 120 }).optional(),
+  gender: v.oneOf(Booking.schema.path('group').schema.path('members').schema.path('gender').enumValues).optional(),
+  phone: v.phone().optional(),
+  roomNumber: v.string({ max: 20 }).optional()
+}), { max: MAX_GROUP_SIZE });
+
+function membersWithinHeadcount({ members, headcount }) {
+  return members && members.length > headcount
+    ? { field: 'members', code: 'TOO_MANY', message: `members must have at most ${headcount} entries` }
+    : null;
+}
+
+const membersRequest = v.object({ members: groupMembers });
+
+// Put members in the rooms asked for and everyone else in the remaining places,
+// room by room. Returns `{ error }` when a member asks for a room the group
+// does not have.
+function assignMembers(members, selectedRooms) {
+  const places = new Map(selectedRooms.map(room => [room.roomNumber, room.occupants || 0]));
+
+  const strangers = members.filter(member => member.roomNumber && !places.has(member.roomNumber));
+  if (strangers.length > 0) {
+    return {
+      error: {
+        message: 'Some members are placed in rooms that are not part of this booking',
+        code: 'ROOM_NOT_IN_BOOKING',
+        rooms: [...new Set(strangers.map(member => member.roomNumber))]
+      }
+    };
+  }
+
+  members.filter(member => member.roomNumber).forEach(member => {
+    places.set(member.roomNumber, places.get(member.roomNumber) - 1);
+  });
+
+  return {
+    members: members.map(member => {
+      if (member.roomNumber) return member;
+      const room = selectedRooms.find(candidate => places.get(candidate.roomNumber) > 0);
+      if (!room) return member;
+      places.set(room.roomNumber, places.get(room.roomNumber) - 1);
+      return { ...member, roomNumber: room.roomNumber };
+    })
+  };
+}
+
+// Group and dharamshala bookings: a party is given a headcount's worth of rooms
+// in one booking, with one leader, one bill and an optional negotiated rate
+function createGroupBookingsRouter({ db, clock, availability, notifyBooking }) {
+  const router = express.Router();
+
+  const groupQuoteRequest = v.object(groupStayFields)
+    .refine(checkOutAfterCheckIn('checkInDate', 'checkOutDate'))
+    .refine(checkInNotInPast('checkInDate', clock));
+
+  const createGroupBookingRequest = v.object({
+    ...groupStayFields,
+    groupName: v.string({ max: 200 }),
+    // The group leader, who is contacted about the booking
+    customerName: v.string({ max: 100 }),
+    customerPhone: v.phone(),
+    customerEmail: v.email().optional(),
+    customerAddress: v.string({ max: 500 }).optional(),
+    arrivalTime: v.date().optional(),
+    members: groupMembers.optional(),
+    ratePerGuestNight: v.number({ min: 0 }).optional(),
+    paymentMethod: v.oneOf(Booking.schema.path('paymentMethod').enumValues).default('cash'),
+    specialRequests: v.string({ max: 1000 }).optional(),
+    language: v.oneOf(Booking.LANGUAGES).optional(),
+    messagingChannel: v.oneOf(['sms', 'whatsapp']).default('sms'),
+    messagingOptOut: v.boolean().default(false)
+  })
+    .refine(checkOutAfterCheckIn('checkInDate', 'checkOutDate'))
+    .refine(checkInNotInPast('checkInDate', clock))
+    .refine(membersWithinHeadcount);
+
+  // Propose rooms for a group at the current tariffs
+  router.post('/group-bookings/quote', v.validate({ body: groupQuoteRequest }), async (req, res, next) => {
+    try {
+      const { checkInDate, checkOutDate, headcount, roomTypes, roomCategories } = req.body;
+
+      const allocation = await availability.allocateGroupRooms({ headcount, roomTypes, roomCategories, checkInDate, checkOutDate });
+      if (allocation.error) {
+        return res.status(allocation.error.status).json(allocation.error.body);
+      }
+
+      res.json({
+        checkInDate,
+        checkOutDate,
+        headcount,
+        capacity: allocation.capacity,
+        rooms: allocation.selectedRooms,
+        totalAmount: allocation.totalAmount
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Book a group into rooms allocated from its headcount and preferences.
+  // Owners may set a negotiated rate per guest per night.
+  router.post('/group-bookings', requireAdmin(), v.validate({ body: createGroupBookingRequest }), idempotent('create-group-booking', { clock }), async (req, res, next) => {
+    const { ratePerGuestNight } = req.body;
+    if (ratePerGuestNight !== undefined && req.admin.role !== 'owner') {
+      return res.status(403).json({ message: 'Only owners can set a group rate', code: 'FORBIDDEN' });
+    }
+
+    const session = await db.startSession();
+    session.startTransaction();
+
+    try {
+      const formData = req.body;
+      const { checkInDate, checkOutDate, headcount, roomTypes = [], roomCategories = [] } = formData;
+
+      const allocation = await availability.allocateGroupRooms({
+        headcount,
+        roomTypes,
+        roomCategories,
+        checkInDate,
+        checkOutDate,
+        session,
+        ratePerGuestNight
+      });
+      if (allocation.error) {
+        await session.abortTransaction();
+        return res.status(allocation.error.status).json(allocation.error.body);
+      }
+
+      const assigned = assignMembers(formData.members || [], allocation.selectedRooms);
+      if (assigned.error) {
+        await session.abortTransaction();
+        return res.status(422).json(assigned.error);
+      }
+
+      const booking = new Booking({
+        customerName: formData.customerName,
+        customerPhone: formData.customerPhone,
+        customerEmail: formData.customerEmail,
+        customerAddress: formData.customerAddress,
+        roomCategory: allocation.roomCategory,
+        roomType: allocation.roomType,
+        selectedRooms: allocation.selectedRooms,
+        checkInDate,
+        checkOutDate,
+        arrivalTime: formData.arrivalTime,
+        totalAmount: allocation.totalAmount,
+        paymentMethod: formData.paymentMethod,
+        specialRequests: formData.specialRequests,
+        group: {
+          name: formData.groupName,
+          headcount,
+          preferences: { roomTypes, roomCategories },
+          ratePerGuestNight,
+          members: assigned.members
+        },
+        language: formData.language,
+        messaging: {
+          channel: formData.messagingChannel,
+          optOut: formData.messagingOptOut
+        },
+        bookingDate: clock.now()
+      });
+
+      await availability.reserveRoomNights(booking, session);
+      await booking.save({ session });
+
+      await session.commitTransaction();
+
+      const notified = await notifyBooking(booking, 'confirmation', { adminEvent: 'admin-booking', text: true });
+
+      res.status(201).json({
+        ...booking.toObject(),
+        ...notified,
+        message: 'Group booking created successfully'
+      });
+    } catch (error) {
+      await session.abortTransaction();
+      if (RoomNight.isConflict(error)) {
+        return res.status(409).json(ROOM_NIGHT_CONFLICT);
+      }
+      next(error);
+    } finally {
+      session.endSession();
+    }
+  });
+
+  // Replace the member list of a group, e.g. once the leader sends the names
+  router.put('/group-bookings/:id/members', requireAdmin(), v.validate({ body: membersRequest }), async (req, res, next) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ message: 'Booking not found', code: 'BOOKING_NOT_FOUND' });
+      }
+
+      const booking = await Booking.findById(req.params.id);
+      if (!booking || !booking.group) {
+        return res.status(404).json({ message: 'Group booking not found', code: 'BOOKING_NOT_FOUND' });
+      }
+
+      if (!Booking.ACTIVE_STATUSES.includes(booking.bookingStatus)) {
+        return res.status(409).json({
+          message: `Cannot modify a ${booking.bookingStatus.toLowerCase()} booking`,
+          code: 'BOOKING_NOT_MODIFIABLE'
+        });
+      }
+
+      const { members } = req.body;
+      const tooMany = membersWithinHeadcount({ members, headcount: booking.group.headcount });
+      if (tooMany) {
+        return next(new ApiError(400, 'VALIDATION_FAILED', tooMany.message, [tooMany]));
+      }
+
+      const assigned = assignMembers(members, booking.selectedRooms);
+      if (assigned.error) {
+        return res.status(422).json(assigned.error);
+      }
+
+      booking.group.members = assigned.members;
+      await booking.save();
+
+      res.json(booking);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createGroupBookingsRouter };
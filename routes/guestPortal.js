@@ -0,0 +1,265 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const Booking = require('../models/Booking');
+const v = require('../services/validation');
+const { ApiError } = require('../services/errors');
+const { requireGuest, issueGuestToken } = require('../middleware/auth');
+const { uploadPaymentProof } = require('../middleware/uploads');
+const { invoiceFileName, renderInvoiceHtml, renderInvoicePdf } = require('../services/invoice');
+const { phonesMatch, onlineCancellationDenial } = require('./shared');
+
+// KYN-2026-00421, or the 6-character reference on older confirmations
+const bookingRef = v.string({
+  max: 30,
+  pattern: /^([A-Z]+-\d{4}-\d+|[0-9a-f]{6})$/i,
+  patternMessage: 'bookingRef must be the booking reference from your confirmation'
+});
+
+const accessCodeRequest = v.object({
+  bookingRef,
+  customerPhone: v.phone(),
+  // Where to send the code: the booking's email address or its phone number
+  via: v.oneOf(['phone', 'email']).default('phone')
+});
+
+const guestLoginRequest = v.object({
+  bookingRef,
+  customerPhone: v.phone(),
+  code: v.string({ pattern: /^\d{6}$/, patternMessage: 'code must be the 6-digit code you were sent' })
+});
+
+const specialRequestsRequest = v.object({ specialRequests: v.string({ max: 1000 }) });
+
+const guestCancelRequest = v.object({ reason: v.string({ max: 500 }).optional() });
+
+// The booking with this reference made with this phone number, if any
+async function findGuestBooking(ref, customerPhone) {
+  const candidates = await Booking.findByRef(ref);
+  return candidates.find(booking => phonesMatch(booking.customerPhone, customerPhone)) || null;
+}
+
+// What a guest sees of their booking: no staff notes, ID scans, file keys or
+// gateway details. `cancellationQuote` is what cancelling now would cost.
+function guestBookingView(booking, cancellationQuote) {
+  const { cancellation } = booking;
+
+  return {
+    bookingRef: booking.reference,
+    bookingStatus: booking.bookingStatus,
+    customerName: booking.customerName,
+    customerPhone: booking.customerPhone,
+    customerEmail: booking.customerEmail,
+    roomCategory: booking.roomCategory,
+    roomType: booking.roomType,
+    rooms: booking.selectedRooms.map(room => ({
+      roomNumber: room.roomNumber,
+      roomCategory: room.roomCategory,
+      type: room.type,
+      occupants: room.occupants,
+      nightlyRates: room.nightlyRates,
+      amount: room.amount
+    })),
+    checkInDate: booking.checkInDate,
+    checkOutDate: booking.checkOutDate,
+    arrivalTime: booking.arrivalTime,
+    totalAmount: booking.totalAmount,
+    amountPaid: booking.amountPaid,
+    balanceDue: booking.balanceDue,
+    paymentStatus: booking.paymentStatus,
+    paymentMethod: booking.paymentMethod,
+    paymentProofReceived: Boolean(booking.paymentProof),
+    specialRequests: booking.specialRequests,
+    group: booking.group ? {
+      name: booking.group.name,
+      headcount: booking.group.headcount,
+      members: booking.group.members.map(({ name, roomNumber }) => ({ name, roomNumber }))
+    } : null,
+    cancellation: cancellation && cancellation.cancelledAt ? {
+      cancelledAt: cancellation.cancelledAt,
+      cancelledBy: cancellation.cancelledBy,
+      cancellationCharge: cancellation.cancellationCharge,
+      refundAmount: cancellation.refundAmount
+    } : null,
+    cancellationQuote
+  };
+}
+
+// Self-service for guests: sign in with the booking reference, phone number and
+// a one-time code, then view, pay for, add requests to or cancel the booking
+function createGuestPortalRouter({ clock, bookings, guestAccess, paymentProofs }) {
+  const router = express.Router();
+
+  // Codes go to real phones and inboxes, and there are only a million of them
+  const accessCodeLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    limit: 5,
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: { message: 'Too many code requests, please try again later', code: 'RATE_LIMITED' }
+  });
+  const loginLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    limit: 10,
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: { message: 'Too many login attempts, please try again later', code: 'RATE_LIMITED' }
+  });
+
+  // The charge and refund for cancelling online now, or null when the guest
+  // cannot cancel online any more
+  function cancellationQuote(booking) {
+    if (booking.bookingStatus !== 'Confirmed' || onlineCancellationDenial(booking, clock)) return null;
+    return bookings.calculateCancellation(booking);
+  }
+
+  // Send a sign-in code. The answer is the same whether or not the details
+  // match a booking, so it cannot be used to find out who is staying here.
+  router.post('/guest/access-code', accessCodeLimiter, v.validate({ body: accessCodeRequest }), async (req, res, next) => {
+    try {
+      const { customerPhone, via } = req.body;
+
+      const booking = await findGuestBooking(req.body.bookingRef, customerPhone);
+      if (booking) {
+        await guestAccess.sendCode(booking, { via });
+      }
+
+      res.status(202).json({ message: 'If the details match a booking, a code has been sent to the phone number or email address on it' });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Exchange a code for a token to the booking
+  router.post('/guest/login', loginLimiter, v.validate({ body: guestLoginRequest }), async (req, res, next) => {
+    try {
+      const { customerPhone, code } = req.body;
+
+      const booking = await findGuestBooking(req.body.bookingRef, customerPhone);
+      if (!booking || !(await guestAccess.verifyCode(booking, code))) {
+        return res.status(401).json({ message: 'The code is incorrect or has expired', code: 'INVALID_CODE' });
+      }
+
+      res.json({ token: issueGuestToken(booking), booking: guestBookingView(booking, cancellationQuote(booking)) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // The signed-in guest's booking
+  router.get('/guest/booking', requireGuest, (req, res) => {
+    res.json(guestBookingView(req.booking, cancellationQuote(req.booking)));
+  });
+
+  // Receipt for the stay as PDF (the default) or HTML: the booking's invoice once
+  // it is issued at checkout, a proforma before then
+  router.get('/guest/booking/receipt/:format?', requireGuest, async (req, res, next) => {
+    try {
+      const format = req.params.format || 'pdf';
+      if (!['pdf', 'html'].includes(format)) {
+        return res.status(404).json({ message: 'Unknown receipt format', code: 'UNKNOWN_FORMAT' });
+      }
+
+      if (req.booking.bookingStatus === 'Cancelled') {
+        return res.status(409).json({ message: 'Cancelled bookings have no receipt', code: 'BOOKING_CANCELLED' });
+      }
+
+      const invoice = await bookings.findInvoice(req.booking);
+
+      if (format === 'html') {
+        return res.type('html').send(renderInvoiceHtml(invoice));
+      }
+
+      const pdf = await renderInvoicePdf(invoice);
+      res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="${invoiceFileName(invoice, 'pdf')}"`
+      });
+      res.send(pdf);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Send the payment proof after booking, or replace the one sent before
+  router.post('/guest/booking/payment-proof', requireGuest, uploadPaymentProof.single('paymentProof'), async (req, res, next) => {
+    let paymentProof;
+    try {
+      const { booking } = req;
+
+      if (!Booking.ACTIVE_STATUSES.includes(booking.bookingStatus)) {
+        return res.status(409).json({ message: `Cannot pay for a ${booking.bookingStatus.toLowerCase()} booking`, code: 'BOOKING_NOT_PAYABLE' });
+      }
+
+      if (!req.file) {
+        return next(new ApiError(400, 'VALIDATION_FAILED', 'paymentProof is required', [
+          { field: 'paymentProof', code: 'REQUIRED', message: 'paymentProof is required' }
+        ]));
+      }
+
+      paymentProof = await paymentProofs.save(req.file);
+
+      const previous = booking.paymentProof;
+      booking.paymentProof = paymentProof;
+      await booking.save();
+      paymentProof = null;
+
+      if (previous) {
+        await paymentProofs.remove(previous).catch(() => {});
+      }
+
+      res.status(201).json({
+        ...guestBookingView(booking, cancellationQuote(booking)),
+        message: 'Payment proof received'
+      });
+    } catch (error) {
+      if (paymentProof) {
+        await paymentProofs.remove(paymentProof).catch(() => {});
+      }
+      next(error);
+    }
+  });
+
+  // Special requests can be changed until check-in
+  router.put('/guest/booking/special-requests', requireGuest, v.validate({ body: specialRequestsRequest }), async (req, res, next) => {
+    try {
+      const { booking } = req;
+
+      if (booking.bookingStatus !== 'Confirmed') {
+        return res.status(409).json({
+          message: `Cannot modify a ${booking.bookingStatus.toLowerCase()} booking`,
+          code: 'BOOKING_NOT_MODIFIABLE'
+        });
+      }
+
+      booking.specialRequests = req.body.specialRequests;
+      await booking.save();
+
+      res.json(guestBookingView(booking, cancellationQuote(booking)));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Cancel under the cancellation policy, up to check-in
+  router.put('/guest/booking/cancel', requireGuest, v.validate({ body: guestCancelRequest }), async (req, res, next) => {
+    try {
+      const result = await bookings.cancelBooking(req.booking._id, {
+        cancelledBy: 'guest',
+        reason: req.body.reason,
+        canCancel: (booking) => onlineCancellationDenial(booking, clock)
+      });
+      if (result.status !== 200) {
+        return res.status(result.status).json(result.body);
+      }
+
+      const booking = await Booking.findById(req.booking._id);
+      res.json({ ...guestBookingView(booking, null), message: result.body.message });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createGuestPortalRouter };
@@ -0,0 +1,217 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const Room = require('../models/Room');
+const v = require('../services/validation');
+const { requireAdmin } = require('../middleware/auth');
+const { ApiError } = require('../services/errors');
+const { detectContentType, reencodeImage } = require('../services/paymentProofs');
+const { uploadIdImages, GUEST_ID_DIR } = require('../middleware/uploads');
+const { DAY_MS, dayKey, startOfUTCDay } = require('../services/pricing');
+const { ID_DOCUMENT_LABELS, buildGuestRegister, renderRegisterCsv, renderRegisterHtml } = require('../services/register');
+const { onDateQuery } = require('./shared');
+
+const HOTEL_TIME_ZONE = process.env.HOTEL_TIME_ZONE || 'Asia/Kolkata';
+
+// Accept one ID scan per guest; upload problems reach the error handler as 400s
+const acceptIdImages = uploadIdImages.array('idImages', 20);
+
+const ID_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+const removeIdScans = (fileNames) => Promise.all(
+  fileNames.map(fileName => fs.promises.unlink(path.join(GUEST_ID_DIR, fileName)).catch(() => {}))
+);
+
+// Check uploaded ID scans by their first bytes and store them re-encoded as
+// JPEG under random names, resolving to the stored file names in upload order.
+// Nothing is kept unless every scan is usable.
+async function storeIdScans(files) {
+  if (files.some(file => !ID_IMAGE_TYPES.includes(detectContentType(file.buffer)))) {
+    throw new ApiError(400, 'UNSUPPORTED_FILE_TYPE', 'ID images must be JPEG, PNG or WebP images');
+  }
+
+  let images;
+  try {
+    images = await Promise.all(files.map(file => reencodeImage(file.buffer)));
+  } catch (error) {
+    throw new ApiError(400, 'INVALID_IMAGE', 'ID image could not be read');
+  }
+
+  await fs.promises.mkdir(GUEST_ID_DIR, { recursive: true });
+  const fileNames = images.map(() => `${crypto.randomBytes(16).toString('hex')}.jpg`);
+  try {
+    await Promise.all(images.map((image, index) => fs.promises.writeFile(path.join(GUEST_ID_DIR, fileNames[index]), image)));
+  } catch (error) {
+    await removeIdScans(fileNames);
+    throw error;
+  }
+  return fileNames;
+}
+
+const registerField = v.string({ max: 200 }).optional();
+
+const checkInRequest = v.object({
+  arrivedAt: v.date().optional(),
+  adults: v.number({ integer: true, min: 1, max: 50 }),
+  children: v.number({ integer: true, min: 0, max: 50 }).default(0),
+  comingFrom: registerField,
+  goingTo: registerField,
+  purposeOfVisit: registerField,
+  guests: v.array(v.object({
+    name: v.string({ max: 100 }),
+    age: v.number({ integer: true, min: 0, max: 120 }).optional(),
+    gender: v.oneOf(Booking.schema.path('guests').schema.path('gender').enumValues).optional(),
+    nationality: v.string({ max: 50 }).optional(),
+    idType: v.oneOf(Object.keys(ID_DOCUMENT_LABELS)),
+    idNumber: v.string({ max: 50 })
+  }), { min: 1, max: 20 })
+}).refine(({ guests, adults, children }) => (guests.length > adults + children
+  ? { field: 'guests', code: 'TOO_MANY', message: 'guests must have at most one entry per adult and child' }
+  : null));
+
+// Check-in with guest ID capture, and the daily guest register built from it
+function createGuestsRouter({ clock }) {
+  const router = express.Router();
+
+  // Check a guest in. `guests` is a JSON array of { name, age, gender, nationality,
+  // idType, idNumber } with one `idImages` file per guest, in the same order.
+  router.put('/bookings/:id/checkin', requireAdmin(), acceptIdImages, v.validate({ body: checkInRequest }), async (req, res, next) => {
+    const files = req.files || [];
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ message: 'Booking not found', code: 'BOOKING_NOT_FOUND' });
+      }
+
+      const booking = await Booking.findById(req.params.id);
+      if (!booking) {
+        return res.status(404).json({ message: 'Booking not found', code: 'BOOKING_NOT_FOUND' });
+      }
+
+      if (booking.bookingStatus !== 'Confirmed') {
+        return res.status(409).json({
+          message: `Cannot check in a ${booking.bookingStatus.toLowerCase()} booking`,
+          code: 'BOOKING_NOT_CHECKINABLE'
+        });
+      }
+
+      const { adults, children, guests } = req.body;
+      const arrivedAt = req.body.arrivedAt || clock.now();
+
+      // Early arrivals the day before are fine; anything else is a different stay
+      if (arrivedAt < new Date(booking.checkInDate.getTime() - DAY_MS) || arrivedAt >= booking.checkOutDate) {
+        return res.status(409).json({
+          message: 'Arrival time is outside the booked stay',
+          code: 'OUTSIDE_STAY_DATES'
+        });
+      }
+
+      if (files.length !== guests.length) {
+        return res.status(400).json({
+          message: 'Upload one JPEG, PNG or WebP ID image per guest',
+          code: 'ID_IMAGE_REQUIRED'
+        });
+      }
+
+      const rooms = await Room.find({ roomNumber: { $in: booking.selectedRooms.map(r => r.roomNumber) } }, 'capacity');
+      const capacity = rooms.reduce((sum, room) => sum + room.capacity, 0);
+      if (adults + children > capacity) {
+        return res.status(400).json({
+          message: `The booked rooms sleep at most ${capacity} guests`,
+          code: 'CAPACITY_EXCEEDED'
+        });
+      }
+
+      const idImages = await storeIdScans(files);
+      booking.set({
+        bookingStatus: 'Checked-In',
+        checkedInAt: arrivedAt,
+        checkedInBy: req.admin._id,
+        adults,
+        children,
+        comingFrom: req.body.comingFrom,
+        goingTo: req.body.goingTo,
+        purposeOfVisit: req.body.purposeOfVisit,
+        guests: guests.map((guest, index) => ({ ...guest, idImage: idImages[index] }))
+      });
+
+      try {
+        await booking.save();
+      } catch (error) {
+        // Scans of a check-in that was not saved are not kept
+        await removeIdScans(idImages);
+        throw error;
+      }
+      res.json(booking);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // A guest's ID scan (admin only)
+  router.get('/bookings/:id/guests/:guestId/id-image', requireAdmin(), async (req, res, next) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ message: 'Booking not found', code: 'BOOKING_NOT_FOUND' });
+      }
+
+      const booking = await Booking.findById(req.params.id, 'guests');
+      const guest = booking && booking.guests.id(req.params.guestId);
+      if (!guest || !guest.idImage) {
+        return res.status(404).json({ message: 'ID image not found', code: 'ID_IMAGE_NOT_FOUND' });
+      }
+
+      res.set({ 'Cache-Control': 'private, no-store', 'X-Content-Type-Options': 'nosniff' });
+      res.sendFile(path.join(GUEST_ID_DIR, path.basename(guest.idImage)));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Daily guest register: every checked-in guest in residence on `date` (default today)
+  router.get('/guest-register/:format?', requireAdmin(), v.validate({ query: onDateQuery }), async (req, res, next) => {
+    try {
+      const format = req.params.format || 'json';
+      if (!['json', 'csv', 'html'].includes(format)) {
+        return res.status(404).json({ message: 'Unknown register format', code: 'UNKNOWN_FORMAT' });
+      }
+
+      const dayStart = startOfUTCDay(req.query.date || clock.now());
+      const dayEnd = new Date(dayStart.getTime() + DAY_MS);
+
+      const bookings = await Booking.find({
+        bookingStatus: { $in: ['Checked-In', 'Completed'] },
+        checkedInAt: { $lt: dayEnd },
+        $or: [{ checkedOutAt: null }, { checkedOutAt: { $gte: dayStart } }]
+      }).sort({ checkedInAt: 1 });
+
+      const register = buildGuestRegister(bookings, {
+        date: dayStart,
+        hotel: { name: process.env.HOTEL_NAME, address: process.env.HOTEL_ADDRESS },
+        timeZone: HOTEL_TIME_ZONE
+      });
+
+      if (format === 'csv') {
+        res.set({
+          'Content-Type': 'text/csv; charset=utf-8',
+          'Content-Disposition': `attachment; filename="guest-register-${dayKey(dayStart)}.csv"`
+        });
+        return res.send(renderRegisterCsv(register));
+      }
+
+      if (format === 'html') {
+        return res.type('html').send(renderRegisterHtml(register));
+      }
+
+      res.json(register);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createGuestsRouter };
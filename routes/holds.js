@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const RoomNight = require('../models/RoomNight');
+const v = require('../services/validation');
+const { DAY_MS, nightsBetween } = require('../services/pricing');
+const { ROOM_NIGHT_CONFLICT } = require('../services/availability');
+const { newStayFields, checkOutAfterCheckIn, checkInNotInPast } = require('./shared');
+
+const ROOM_HOLD_MINUTES = Number(process.env.ROOM_HOLD_MINUTES || 15);
+
+// Describe a hold from its room night documents
+function holdSummary(holdToken, nights) {
+  const roomNumbers = [...new Set(nights.map(entry => entry.roomNumber))];
+  const nightTimes = nights.map(entry => entry.night.getTime());
+  return {
+    holdToken,
+    expiresAt: nights[0].expiresAt,
+    checkInDate: new Date(Math.min(...nightTimes)),
+    checkOutDate: new Date(Math.max(...nightTimes) + DAY_MS),
+    roomNumbers
+  };
+}
+
+// Short-lived room holds taken while a guest fills in the booking form
+function createHoldsRouter({ db, clock, availability }) {
+  const router = express.Router();
+
+  // Holds take rooms off sale, so guests cannot place them without limit
+  const holdLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    limit: 20,
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: { message: 'Too many room holds, please try again later', code: 'RATE_LIMITED' }
+  });
+
+  const createHoldRequest = v.object(newStayFields)
+    .refine(checkOutAfterCheckIn('checkInDate', 'checkOutDate'))
+    .refine(checkInNotInPast('checkInDate', clock));
+
+  // Hold rooms for a few minutes while the guest fills in the booking form
+  router.post('/holds', holdLimiter, v.validate({ body: createHoldRequest }), async (req, res, next) => {
+    const session = await db.startSession();
+    session.startTransaction();
+
+    try {
+      const { checkInDate, checkOutDate } = req.body;
+
+      const selection = await availability.priceRoomSelection({
+        requestedRooms: req.body.selectedRooms,
+        roomType: req.body.roomType,
+        checkInDate,
+        checkOutDate,
+        session
+      });
+      if (selection.error) {
+        await session.abortTransaction();
+        return res.status(selection.error.status).json(selection.error.body);
+      }
+
+      const now = clock.now();
+      const holdToken = crypto.randomBytes(24).toString('base64url');
+      const expiresAt = new Date(now.getTime() + ROOM_HOLD_MINUTES * 60 * 1000);
+
+      await RoomNight.reserve(
+        { holdToken, expiresAt },
+        selection.selectedRooms.map(room => room.roomNumber),
+        nightsBetween(checkInDate, checkOutDate),
+        session,
+        now
+      );
+
+      await session.commitTransaction();
+
+      res.status(201).json({
+        holdToken,
+        expiresAt,
+        checkInDate,
+        checkOutDate,
+        roomCategory: selection.roomCategory,
+        selectedRooms: selection.selectedRooms,
+        totalAmount: selection.totalAmount
+      });
+    } catch (error) {
+      await session.abortTransaction();
+      if (RoomNight.isConflict(error)) {
+        return res.status(409).json(ROOM_NIGHT_CONFLICT);
+      }
+      next(error);
+    } finally {
+      session.endSession();
+    }
+  });
+
+  router.get('/holds/:token', async (req, res, next) => {
+    try {
+      const nights = await RoomNight.findHold(req.params.token, null, clock.now());
+      if (nights.length === 0) {
+        return res.status(404).json({ message: 'Hold not found or expired', code: 'HOLD_EXPIRED' });
+      }
+      res.json(holdSummary(req.params.token, nights));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Give held rooms back early, e.g. when the guest leaves the booking form
+  router.delete('/holds/:token', async (req, res, next) => {
+    try {
+      await RoomNight.releaseHold(String(req.params.token));
+      res.status(204).end();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createHoldsRouter };
@@ -0,0 +1,102 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const v = require('../services/validation');
+const { requireAdmin } = require('../middleware/auth');
+const { invoiceFileName, renderInvoiceHtml, renderInvoicePdf } = require('../services/invoice');
+
+// Load a booking for invoicing, or send the appropriate error response
+async function findInvoiceableBooking(req, res) {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(404).json({ message: 'Booking not found', code: 'BOOKING_NOT_FOUND' });
+    return null;
+  }
+
+  const booking = await Booking.findById(req.params.id);
+  if (!booking) {
+    res.status(404).json({ message: 'Booking not found', code: 'BOOKING_NOT_FOUND' });
+    return null;
+  }
+
+  if (booking.bookingStatus === 'Cancelled') {
+    res.status(409).json({ message: 'Cancelled bookings cannot be invoiced', code: 'BOOKING_CANCELLED' });
+    return null;
+  }
+
+  return booking;
+}
+
+const issueInvoiceRequest = v.object({
+  billingName: v.string({ max: 200 }).optional(),
+  billingAddress: v.string({ max: 500 }).optional(),
+  customerGstin: v.string({
+    uppercase: true,
+    pattern: /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/,
+    patternMessage: 'customerGstin must be a valid 15-character GSTIN'
+  }).optional(),
+  regenerate: v.boolean().default(false)
+});
+
+// GST invoices for bookings
+function createInvoicesRouter({ bookings }) {
+  const router = express.Router();
+
+  // Issue (or re-issue) the invoice for a booking
+  router.post('/bookings/:id/invoice', requireAdmin(), v.validate({ body: issueInvoiceRequest }), async (req, res, next) => {
+    try {
+      const booking = await findInvoiceableBooking(req, res);
+      if (!booking) return;
+
+      const invoice = await bookings.issueInvoice(booking, {
+        admin: req.admin,
+        billTo: {
+          name: req.body.billingName,
+          address: req.body.billingAddress,
+          gstin: req.body.customerGstin
+        },
+        regenerate: req.body.regenerate
+      });
+
+      res.status(201).json(invoice);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Get the invoice for a booking as JSON, PDF or HTML: the issued invoice, or
+  // an unnumbered proforma until it is issued
+  router.get('/bookings/:id/invoice/:format?', requireAdmin(), async (req, res, next) => {
+    try {
+      const format = req.params.format || 'json';
+      if (!['json', 'pdf', 'html'].includes(format)) {
+        return res.status(404).json({ message: 'Unknown invoice format', code: 'UNKNOWN_FORMAT' });
+      }
+
+      const booking = await findInvoiceableBooking(req, res);
+      if (!booking) return;
+
+      const invoice = await bookings.findInvoice(booking);
+
+      if (format === 'pdf') {
+        const pdf = await renderInvoicePdf(invoice);
+        res.set({
+          'Content-Type': 'application/pdf',
+          'Content-Disposition': `attachment; filename="${invoiceFileName(invoice, 'pdf')}"`
+        });
+        return res.send(pdf);
+      }
+
+      if (format === 'html') {
+        return res.type('html').send(renderInvoiceHtml(invoice));
+      }
+
+      res.json(invoice);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createInvoicesRouter };
@@ -0,0 +1,88 @@
+const express = require('express');
+const JobRun = require('../models/JobRun');
+const v = require('../services/validation');
+const { requireAdmin, requireCronSecret } = require('../middleware/auth');
+const { paginationQuery, inFilter } = require('./shared');
+
+const jobRunsQuery = v.object({
+  job: v.list(v.string({ max: 50 })).optional(),
+  status: v.list(v.oneOf(JobRun.schema.path('status').enumValues)).optional(),
+  ...paginationQuery
+});
+
+// Scheduled jobs: the cron trigger, their run history and manual runs
+function createJobsRouter({ scheduler }) {
+  const router = express.Router();
+
+  // Run whichever scheduled jobs are due (serverless deployments)
+  router.get('/cron/jobs', requireCronSecret, async (req, res, next) => {
+    try {
+      const runs = await scheduler.runDueJobs({ trigger: 'cron' });
+      res.json({ runs });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Scheduled jobs with their most recent run
+  router.get('/jobs', requireAdmin(), async (req, res, next) => {
+    try {
+      const jobs = scheduler.listJobs();
+      const lastRuns = await Promise.all(jobs.map(job => JobRun.findOne({ job: job.name }).sort({ startedAt: -1 })));
+
+      res.json(jobs.map((job, index) => ({ ...job, lastRun: lastRuns[index] })));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Run history, newest first
+  router.get('/jobs/runs', requireAdmin(), v.validate({ query: jobRunsQuery }), async (req, res, next) => {
+    try {
+      const { job, status, page, limit } = req.query;
+
+      const query = {};
+      if (job) query.job = inFilter(job);
+      if (status) query.status = inFilter(status);
+
+      const [runs, total] = await Promise.all([
+        JobRun.find(query).sort({ startedAt: -1 }).skip((page - 1) * limit).limit(limit),
+        JobRun.countDocuments(query)
+      ]);
+
+      res.json({
+        runs,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Run a job immediately, whether or not it is due or enabled
+  router.post('/jobs/:name/run', requireAdmin('owner'), async (req, res, next) => {
+    try {
+      if (!scheduler.hasJob(req.params.name)) {
+        return res.status(404).json({ message: 'Job not found', code: 'JOB_NOT_FOUND' });
+      }
+
+      const run = await scheduler.runJob(req.params.name, { trigger: 'manual' });
+      if (!run) {
+        return res.status(409).json({ message: 'Job is already running', code: 'JOB_RUNNING' });
+      }
+
+      res.json(run);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createJobsRouter };
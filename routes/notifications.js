@@ -0,0 +1,84 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const Notification = require('../models/Notification');
+const v = require('../services/validation');
+const { requireAdmin } = require('../middleware/auth');
+
+const messagingRequest = v.object({
+  channel: v.oneOf(['sms', 'whatsapp']).optional(),
+  optOut: v.boolean().optional()
+});
+
+// Delivery status of guest messages and the guest's messaging preferences
+function createNotificationsRouter({ outbox }) {
+  const router = express.Router();
+
+  // Delivery status of every message sent for a booking
+  router.get('/bookings/:id/notifications', requireAdmin(), async (req, res, next) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ message: 'Booking not found', code: 'BOOKING_NOT_FOUND' });
+      }
+
+      const notifications = await Notification.find({ booking: req.params.id })
+        .select('-html -attachments.content')
+        .sort({ createdAt: -1 });
+
+      res.json(notifications);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Change how (or whether) a guest receives SMS/WhatsApp updates
+  router.put('/bookings/:id/messaging', requireAdmin(), v.validate({ body: messagingRequest }), async (req, res, next) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ message: 'Booking not found', code: 'BOOKING_NOT_FOUND' });
+      }
+
+      const { channel, optOut } = req.body;
+      const update = {};
+      if (channel !== undefined) update['messaging.channel'] = channel;
+      if (optOut !== undefined) update['messaging.optOut'] = optOut;
+
+      const booking = await Booking.findByIdAndUpdate(req.params.id, { $set: update }, {
+        new: true,
+        runValidators: true
+      });
+      if (!booking) {
+        return res.status(404).json({ message: 'Booking not found', code: 'BOOKING_NOT_FOUND' });
+      }
+
+      res.json(booking.messaging);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Send a pending or failed message again now
+  router.post('/notifications/:id/retry', requireAdmin(), async (req, res, next) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ message: 'Notification not found', code: 'NOTIFICATION_NOT_FOUND' });
+      }
+
+      const notification = await outbox.retry(req.params.id);
+      if (!notification) {
+        const exists = await Notification.exists({ _id: req.params.id });
+        return exists
+          ? res.status(409).json({ message: 'Notification is already sent or being sent', code: 'NOTIFICATION_NOT_RETRYABLE' })
+          : res.status(404).json({ message: 'Notification not found', code: 'NOTIFICATION_NOT_FOUND' });
+      }
+
+      res.json(notification);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createNotificationsRouter };
@@ -0,0 +1,282 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const v = require('../services/validation');
+const { ApiError } = require('../services/errors');
+const { requireAdmin } = require('../middleware/auth');
+const { uploadPaymentProof } = require('../middleware/uploads');
+
+const ledgerEnumValues = (path) => Booking.schema.path('payments').schema.path(path).enumValues;
+
+const recordPaymentRequest = v.object({
+  kind: v.oneOf(ledgerEnumValues('kind')).default('payment'),
+  amount: v.number({ min: 0.01 }),
+  method: v.oneOf(ledgerEnumValues('method')),
+  reference: v.string({ max: 100 }).optional(),
+  note: v.string({ max: 500 }).optional(),
+  receivedAt: v.date().optional()
+});
+
+const paymentOrderRequest = v.object({ amount: v.number({ min: 1 }).optional() });
+
+const proofQuery = v.object({ thumbnail: v.boolean().default(false) });
+
+// Send a stored proof to staff. Nothing is cached, and browsers must not guess
+// a different type than the one the file was checked to be.
+function sendProof(res, file) {
+  const viewable = /^image\//.test(file.contentType) || file.contentType === 'application/pdf';
+  res.set({
+    'Content-Type': file.contentType,
+    'Content-Disposition': viewable ? 'inline' : 'attachment',
+    'Cache-Control': 'private, no-store',
+    'X-Content-Type-Options': 'nosniff'
+  });
+  res.send(file.body);
+}
+
+const mockOutcomeParams = v.object({
+  orderId: v.string({ max: 100 }),
+  outcome: v.oneOf(['captured', 'failed'])
+});
+
+// The payment ledger, online payments through the gateway and its webhook
+function createPaymentsRouter({ clock, paymentProvider, bookings, notifyBooking, paymentProofs }) {
+  const router = express.Router();
+
+  // Payment ledger for a booking
+  router.get('/bookings/:id/payments', requireAdmin(), async (req, res, next) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ message: 'Booking not found', code: 'BOOKING_NOT_FOUND' });
+      }
+
+      const booking = await Booking.findById(req.params.id).populate('payments.collectedBy', 'username role');
+      if (!booking) {
+        return res.status(404).json({ message: 'Booking not found', code: 'BOOKING_NOT_FOUND' });
+      }
+
+      booking.recalculatePayments();
+
+      res.json({
+        totalAmount: booking.totalAmount,
+        amountPaid: booking.amountPaid,
+        balanceDue: booking.balanceDue,
+        paymentStatus: booking.paymentStatus,
+        payments: booking.payments
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Record a payment (advance, balance at check-in, ...) or, for owners, a refund
+  router.post('/bookings/:id/payments', requireAdmin(), uploadPaymentProof.single('proof'), v.validate({ body: recordPaymentRequest }), async (req, res, next) => {
+    let proof;
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ message: 'Booking not found', code: 'BOOKING_NOT_FOUND' });
+      }
+
+      const booking = await Booking.findById(req.params.id);
+      if (!booking) {
+        return res.status(404).json({ message: 'Booking not found', code: 'BOOKING_NOT_FOUND' });
+      }
+
+      const { kind, amount, method, reference, note } = req.body;
+
+      if (kind === 'refund' && req.admin.role !== 'owner') {
+        return res.status(403).json({ message: 'Only owners can record refunds', code: 'FORBIDDEN' });
+      }
+
+      // Refunds can still be owed once a booking is cancelled or completed
+      if (kind === 'payment' && !Booking.ACTIVE_STATUSES.includes(booking.bookingStatus)) {
+        return res.status(409).json({ message: `Cannot pay for a ${booking.bookingStatus.toLowerCase()} booking`, code: 'BOOKING_NOT_PAYABLE' });
+      }
+
+      const { amountPaid } = booking.recalculatePayments();
+      if (kind === 'refund' && amount > amountPaid) {
+        return res.status(422).json({ message: `Cannot refund more than the ${amountPaid} paid`, code: 'REFUND_EXCEEDS_PAID' });
+      }
+
+      proof = req.file ? await paymentProofs.save(req.file) : undefined;
+
+      booking.payments.push({
+        kind,
+        amount,
+        method,
+        reference,
+        note,
+        proof,
+        collectedBy: req.admin._id,
+        receivedAt: req.body.receivedAt || clock.now()
+      });
+      await booking.save();
+      proof = null;
+
+      if (kind === 'payment') {
+        await notifyBooking(booking, 'payment', { email: false, text: true, extras: { payment: { amount } } });
+      }
+
+      res.status(201).json(booking);
+    } catch (error) {
+      if (proof) {
+        await paymentProofs.remove(proof).catch(() => {});
+      }
+      next(error);
+    }
+  });
+
+  // The payment proof the guest sent with their booking. `thumbnail=true` gives
+  // a small preview of image proofs.
+  router.get('/bookings/:id/payment-proof', requireAdmin(), v.validate({ query: proofQuery }), async (req, res, next) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ message: 'Booking not found', code: 'BOOKING_NOT_FOUND' });
+      }
+
+      const booking = await Booking.findById(req.params.id, 'paymentProof');
+      const file = booking && booking.paymentProof
+        ? await paymentProofs.read(booking.paymentProof, { thumbnail: req.query.thumbnail })
+        : null;
+      if (!file) {
+        return res.status(404).json({ message: 'Payment proof not found', code: 'PROOF_NOT_FOUND' });
+      }
+
+      sendProof(res, file);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // The proof attached to one ledger entry
+  router.get('/bookings/:id/payments/:paymentId/proof', requireAdmin(), v.validate({ query: proofQuery }), async (req, res, next) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ message: 'Booking not found', code: 'BOOKING_NOT_FOUND' });
+      }
+
+      const booking = await Booking.findById(req.params.id, 'payments');
+      const payment = booking && booking.payments.id(req.params.paymentId);
+      const file = payment && payment.proof
+        ? await paymentProofs.read(payment.proof, { thumbnail: req.query.thumbnail })
+        : null;
+      if (!file) {
+        return res.status(404).json({ message: 'Payment proof not found', code: 'PROOF_NOT_FOUND' });
+      }
+
+      sendProof(res, file);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Start an online payment for the outstanding balance of a booking
+  router.post('/bookings/:id/payment-order', v.validate({ body: paymentOrderRequest }), async (req, res, next) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ message: 'Booking not found', code: 'BOOKING_NOT_FOUND' });
+      }
+
+      const booking = await Booking.findById(req.params.id);
+      if (!booking) {
+        return res.status(404).json({ message: 'Booking not found', code: 'BOOKING_NOT_FOUND' });
+      }
+
+      if (!Booking.ACTIVE_STATUSES.includes(booking.bookingStatus)) {
+        return res.status(409).json({ message: `Cannot pay for a ${booking.bookingStatus.toLowerCase()} booking`, code: 'BOOKING_NOT_PAYABLE' });
+      }
+
+      const { balanceDue } = booking.recalculatePayments();
+      if (balanceDue <= 0) {
+        return res.status(409).json({ message: 'This booking has nothing left to pay', code: 'NOTHING_DUE' });
+      }
+
+      // Guests may pay an advance now and the rest later
+      const amount = req.body.amount !== undefined ? req.body.amount : balanceDue;
+      if (amount > balanceDue) {
+        const message = `amount must be at most ${balanceDue}`;
+        return next(new ApiError(400, 'VALIDATION_FAILED', message, [{ field: 'amount', code: 'TOO_LARGE', message }]));
+      }
+
+      let order;
+      try {
+        order = await paymentProvider.createOrder({
+          amount,
+          currency: 'INR',
+          receipt: booking.reference,
+          notes: { bookingId: booking._id.toString(), customerName: booking.customerName }
+        });
+      } catch (error) {
+        console.error('Payment order error:', { bookingId: booking._id, error: error.message });
+        return res.status(502).json({ message: 'Could not start the online payment', code: 'PAYMENT_GATEWAY_ERROR' });
+      }
+
+      booking.gatewayOrders.push({
+        provider: paymentProvider.name,
+        orderId: order.orderId,
+        amount: order.amount,
+        currency: order.currency,
+        createdAt: clock.now()
+      });
+      await booking.save();
+
+      res.status(201).json({
+        provider: paymentProvider.name,
+        orderId: order.orderId,
+        amount: order.amount,
+        currency: order.currency,
+        checkout: order.checkout
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Payment gateway webhook
+  router.post('/payments/webhook', async (req, res, next) => {
+    const signature = req.headers[paymentProvider.signatureHeader];
+
+    if (!paymentProvider.verifyWebhook(req.rawBody, signature)) {
+      return res.status(400).json({ message: 'Invalid webhook signature', code: 'INVALID_SIGNATURE' });
+    }
+
+    try {
+      const event = paymentProvider.parseWebhook(req.body);
+      const booking = await bookings.applyPaymentEvent(event);
+
+      res.json({ received: true, event: event.type, bookingId: booking ? booking._id : null });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Simulate the gateway completing or failing a payment (mock provider, outside production)
+  if (paymentProvider.name === 'mock' && process.env.NODE_ENV !== 'production') {
+    router.post('/payments/mock/:orderId/:outcome', v.validate({ params: mockOutcomeParams }), async (req, res, next) => {
+      try {
+        const { orderId, outcome } = req.params;
+
+        const booking = await Booking.findOne({ 'gatewayOrders.orderId': orderId });
+        if (!booking) {
+          return res.status(404).json({ message: 'Order not found', code: 'ORDER_NOT_FOUND' });
+        }
+
+        const order = booking.gatewayOrders.find(o => o.orderId === orderId);
+        const { rawBody, signature } = paymentProvider.simulateWebhook({ orderId, amount: order.amount, outcome });
+
+        if (!paymentProvider.verifyWebhook(rawBody, signature)) {
+          return res.status(500).json({ message: 'Mock signature did not verify', code: 'INVALID_SIGNATURE' });
+        }
+
+        const updatedBooking = await bookings.applyPaymentEvent(paymentProvider.parseWebhook(JSON.parse(rawBody)));
+        res.json(updatedBooking);
+      } catch (error) {
+        next(error);
+      }
+    });
+  }
+
+  return router;
+}
+
+module.exports = { createPaymentsRouter };
@@ -0,0 +1,113 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const PricingRule = require('../models/PricingRule');
+const v = require('../services/validation');
+const { requireAdmin } = require('../middleware/auth');
+const { ROOM_CATEGORIES, ROOM_TYPES } = require('./shared');
+
+// Pricing rule fields that owners may set
+const PRICING_RULE_FIELDS = [
+  'name', 'description', 'startDate', 'endDate', 'daysOfWeek', 'roomCategory', 'roomType',
+  'adjustmentType', 'value', 'minNights', 'priority', 'isActive'
+];
+
+function pickPricingRuleFields(body) {
+  return PRICING_RULE_FIELDS.reduce((fields, field) => {
+    if (body[field] !== undefined) fields[field] = body[field];
+    return fields;
+  }, {});
+}
+
+// Optional fields accept null to remove the restriction
+const pricingRuleFields = {
+  name: v.string({ max: 100 }),
+  description: v.string({ max: 500 }).nullable(),
+  startDate: v.date().nullable(),
+  endDate: v.date().nullable(),
+  daysOfWeek: v.array(v.number({ integer: true, min: 0, max: 6 }), { max: 7 }).optional(),
+  roomCategory: v.oneOf(ROOM_CATEGORIES).nullable(),
+  roomType: v.oneOf(ROOM_TYPES).nullable(),
+  adjustmentType: v.oneOf(PricingRule.schema.path('adjustmentType').enumValues).optional(),
+  value: v.number().optional(),
+  minNights: v.number({ integer: true, min: 1 }).nullable(),
+  priority: v.number({ integer: true }).optional(),
+  isActive: v.boolean().optional()
+};
+
+const endDateRule = (rule) => (rule.startDate && rule.endDate && rule.endDate < rule.startDate
+  ? { field: 'endDate', code: 'INVALID_DATES', message: 'endDate must be on or after startDate' }
+  : null);
+
+const createPricingRuleRequest = v.object(pricingRuleFields).refine(endDateRule);
+const updatePricingRuleRequest = v.object(v.partial(pricingRuleFields)).refine(endDateRule);
+
+const listPricingRulesQuery = v.object({ includeInactive: v.boolean().default(false) });
+
+// Seasonal and day-of-week pricing rules
+function createPricingRulesRouter() {
+  const router = express.Router();
+
+  // List pricing rules
+  router.get('/pricing-rules', requireAdmin(), v.validate({ query: listPricingRulesQuery }), async (req, res, next) => {
+    try {
+      const query = req.query.includeInactive ? {} : { isActive: true };
+      const rules = await PricingRule.find(query).sort({ priority: 1, startDate: 1 });
+      res.json(rules);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Add a pricing rule
+  router.post('/pricing-rules', requireAdmin('owner'), v.validate({ body: createPricingRuleRequest }), async (req, res, next) => {
+    try {
+      const rule = await PricingRule.create(pickPricingRuleFields(req.body));
+      res.status(201).json(rule);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Update a pricing rule
+  router.put('/pricing-rules/:id', requireAdmin('owner'), v.validate({ body: updatePricingRuleRequest }), async (req, res, next) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ message: 'Pricing rule not found', code: 'PRICING_RULE_NOT_FOUND' });
+      }
+
+      const rule = await PricingRule.findById(req.params.id);
+      if (!rule) {
+        return res.status(404).json({ message: 'Pricing rule not found', code: 'PRICING_RULE_NOT_FOUND' });
+      }
+
+      rule.set(pickPricingRuleFields(req.body));
+      await rule.save();
+
+      res.json(rule);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Delete a pricing rule. Existing bookings keep the rates they were quoted.
+  router.delete('/pricing-rules/:id', requireAdmin('owner'), async (req, res, next) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ message: 'Pricing rule not found', code: 'PRICING_RULE_NOT_FOUND' });
+      }
+
+      const rule = await PricingRule.findByIdAndDelete(req.params.id);
+      if (!rule) {
+        return res.status(404).json({ message: 'Pricing rule not found', code: 'PRICING_RULE_NOT_FOUND' });
+      }
+
+      res.json({ message: 'Pricing rule deleted', rule });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createPricingRulesRouter };
@@ -0,0 +1,86 @@
+const express = require('express');
+const Booking = require('../models/Booking');
+const Room = require('../models/Room');
+const v = require('../services/validation');
+const { requireAdmin } = require('../middleware/auth');
+const { DAY_MS, startOfUTCDay } = require('../services/pricing');
+const { REPORT_GROUPINGS, buildReport, renderReportCsv } = require('../services/reports');
+const { roomFilterQuery } = require('./shared');
+
+const reportQuery = v.object({
+  from: v.date().optional(),
+  to: v.date().optional(),
+  ...roomFilterQuery,
+  groupBy: v.oneOf(Object.keys(REPORT_GROUPINGS)).default('month')
+});
+
+// Owner reports
+function createReportsRouter({ clock }) {
+  const router = express.Router();
+
+  // Occupancy, revenue, ADR, cash vs online and lead time for a date range.
+  // `from` and `to` are calendar days (to exclusive) and default to this month.
+  router.get('/reports/:format?', requireAdmin('owner'), v.validate({ query: reportQuery }), async (req, res, next) => {
+    try {
+      const format = req.params.format || 'json';
+      if (!['json', 'csv'].includes(format)) {
+        return res.status(404).json({ message: 'Unknown report format', code: 'UNKNOWN_FORMAT' });
+      }
+
+      const { category, type, groupBy } = req.query;
+
+      const today = startOfUTCDay(clock.now());
+      const from = req.query.from
+        ? startOfUTCDay(req.query.from)
+        : new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), 1));
+      const to = req.query.to
+        ? startOfUTCDay(req.query.to)
+        : new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth() + 1, 1));
+
+      if (to <= from) {
+        return res.status(400).json({ message: 'to must be a date after from', code: 'INVALID_DATES' });
+      }
+      if (to - from > 366 * DAY_MS) {
+        return res.status(400).json({ message: 'Reports cover at most 366 days', code: 'RANGE_TOO_LARGE' });
+      }
+
+      const roomQuery = {};
+      if (category) roomQuery.roomCategory = category;
+      if (type) roomQuery.type = type;
+
+      const rooms = await Room.find(roomQuery, 'roomNumber roomCategory type isRetired retiredAt').lean();
+
+      // Cancelled and no-show bookings sold nothing
+      const bookings = await Booking.find({
+        checkInDate: { $lt: to },
+        checkOutDate: { $gt: from },
+        bookingStatus: { $nin: Booking.RELEASED_STATUSES },
+        'selectedRooms.roomNumber': { $in: rooms.map(room => room.roomNumber) }
+      }, 'selectedRooms roomCategory roomType paymentMethod checkInDate checkOutDate bookingDate createdAt').lean();
+
+      // Only count the rooms that match the filters
+      const roomNumbers = new Set(rooms.map(room => room.roomNumber));
+      for (const booking of bookings) {
+        booking.selectedRooms = booking.selectedRooms.filter(room => roomNumbers.has(room.roomNumber));
+      }
+
+      const report = buildReport({ bookings, rooms, from, to, groupBy });
+
+      if (format === 'csv') {
+        res.set({
+          'Content-Type': 'text/csv; charset=utf-8',
+          'Content-Disposition': `attachment; filename="report-${groupBy}-${report.from}-to-${report.to}.csv"`
+        });
+        return res.send(renderReportCsv(report));
+      }
+
+      res.json(report);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createReportsRouter };
@@ -0,0 +1,371 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const Room = require('../models/Room');
+const v = require('../services/validation');
+const { requireAdmin } = require('../middleware/auth');
+const { DAY_MS, quoteRoom, startOfUTCDay } = require('../services/pricing');
+const { findBookedNights, findHeldNights, withOccupancy, findPricingRules } = require('../services/availability');
+const {
+  ROOM_CATEGORIES,
+  ROOM_TYPES,
+  roomFilterQuery,
+  onDateQuery,
+  checkOutAfterCheckIn
+} = require('./shared');
+
+// Room fields that admins may set through the inventory API
+const ROOM_FIELDS = ['roomCategory', 'type', 'roomNumber', 'price', 'capacity', 'amenities'];
+
+function pickRoomFields(body) {
+  return ROOM_FIELDS.reduce((fields, field) => {
+    if (body[field] !== undefined) fields[field] = body[field];
+    return fields;
+  }, {});
+}
+
+const roomFields = {
+  roomCategory: v.oneOf(ROOM_CATEGORIES),
+  type: v.oneOf(ROOM_TYPES),
+  roomNumber: v.string({ max: 20 }),
+  price: v.number({ min: 0 }),
+  capacity: v.number({ integer: true, min: 1, max: 10 }),
+  amenities: v.array(v.string({ max: 50 }), { max: 50 }).optional()
+};
+
+const createRoomRequest = v.object(roomFields);
+const updateRoomRequest = v.object({ ...v.partial(roomFields), isRetired: v.boolean().optional() });
+
+const listRoomsQuery = v.object({ ...roomFilterQuery, includeRetired: v.boolean().default(false) });
+
+const housekeepingRequest = v.object({ status: v.oneOf(Room.schema.path('housekeepingStatus').enumValues) });
+
+// How rooms are grouped in the calendar's bucket views
+const CALENDAR_GROUPINGS = {
+  category: room => ({ roomCategory: room.roomCategory }),
+  type: room => ({ type: room.type }),
+  categoryType: room => ({ roomCategory: room.roomCategory, type: room.type })
+};
+
+const calendarQuery = v.object({
+  month: v.string({
+    pattern: /^\d{4}-(0[1-9]|1[0-2])$/,
+    patternMessage: 'month must be in YYYY-MM format'
+  }),
+  ...roomFilterQuery,
+  groupBy: v.oneOf(['room', ...Object.keys(CALENDAR_GROUPINGS)]).default('room')
+});
+
+const availableRoomsQuery = v.object({
+  checkIn: v.date(),
+  checkOut: v.date(),
+  ...roomFilterQuery
+}).refine(checkOutAfterCheckIn('checkIn', 'checkOut'));
+
+// Room inventory, housekeeping, the booking calendar and guest-facing availability
+function createRoomsRouter({ clock, availability }) {
+  const router = express.Router();
+  const { findOccupancyForNight, findBookedRoomNumbers } = availability;
+
+  // Count active bookings for a room that have not checked out yet
+  function countUpcomingBookings(roomNumber) {
+    return Booking.countDocuments({
+      'selectedRooms.roomNumber': roomNumber,
+      checkOutDate: { $gt: clock.now() },
+      bookingStatus: { $nin: Booking.RELEASED_STATUSES }
+    });
+  }
+
+  // List room inventory
+  router.get('/rooms', requireAdmin(), v.validate({ query: listRoomsQuery }), async (req, res, next) => {
+    try {
+      const { category, type, includeRetired } = req.query;
+      const query = {};
+
+      if (category) query.roomCategory = category;
+      if (type) query.type = type;
+      if (!includeRetired) query.isRetired = { $ne: true };
+
+      const [rooms, occupancy] = await Promise.all([
+        Room.find(query).sort({ roomCategory: 1, type: 1, roomNumber: 1 }),
+        findOccupancyForNight()
+      ]);
+      res.json(withOccupancy(rooms, occupancy));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Add a room
+  router.post('/rooms', requireAdmin('owner'), v.validate({ body: createRoomRequest }), async (req, res, next) => {
+    try {
+      const room = await Room.create(pickRoomFields(req.body));
+      res.status(201).json(room);
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({ message: 'Room number already exists', code: 'DUPLICATE_ROOM_NUMBER' });
+      }
+      next(error);
+    }
+  });
+
+  // Update a room
+  router.put('/rooms/:id', requireAdmin('owner'), v.validate({ body: updateRoomRequest }), async (req, res, next) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ message: 'Room not found', code: 'ROOM_NOT_FOUND' });
+      }
+
+      const room = await Room.findById(req.params.id);
+      if (!room) {
+        return res.status(404).json({ message: 'Room not found', code: 'ROOM_NOT_FOUND' });
+      }
+
+      const updates = pickRoomFields(req.body);
+
+      // Bookings reference rooms by number, so renumbering would orphan them
+      if (updates.roomNumber !== undefined && updates.roomNumber !== room.roomNumber) {
+        const bookingCount = await Booking.countDocuments({ 'selectedRooms.roomNumber': room.roomNumber });
+        if (bookingCount > 0) {
+          return res.status(409).json({
+            message: 'Cannot change the number of a room that has bookings',
+            code: 'ROOM_HAS_BOOKINGS'
+          });
+        }
+      }
+
+      room.set(updates);
+
+      if (req.body.isRetired !== undefined) {
+        room.isRetired = req.body.isRetired;
+        room.retiredAt = room.isRetired ? clock.now() : undefined;
+      }
+
+      await room.save();
+      res.json(room);
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({ message: 'Room number already exists', code: 'DUPLICATE_ROOM_NUMBER' });
+      }
+      next(error);
+    }
+  });
+
+  // Delete a room, or retire it if guests are still booked into it
+  router.delete('/rooms/:id', requireAdmin('owner'), async (req, res, next) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ message: 'Room not found', code: 'ROOM_NOT_FOUND' });
+      }
+
+      const room = await Room.findById(req.params.id);
+      if (!room) {
+        return res.status(404).json({ message: 'Room not found', code: 'ROOM_NOT_FOUND' });
+      }
+
+      const upcomingBookings = await countUpcomingBookings(room.roomNumber);
+
+      if (upcomingBookings > 0) {
+        room.isRetired = true;
+        room.retiredAt = clock.now();
+        await room.save();
+
+        return res.json({
+          message: `Room retired; ${upcomingBookings} upcoming booking(s) will be honoured`,
+          retired: true,
+          room
+        });
+      }
+
+      await room.deleteOne();
+      res.json({ message: 'Room deleted', retired: false, room });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Front desk room board: who is in each room on a night, plus housekeeping status
+  router.get('/rooms/status', requireAdmin(), v.validate({ query: onDateQuery }), async (req, res, next) => {
+    try {
+      const date = req.query.date || clock.now();
+
+      const [rooms, occupancy] = await Promise.all([
+        Room.find({ isRetired: { $ne: true } }).sort({ roomCategory: 1, type: 1, roomNumber: 1 }),
+        findOccupancyForNight(date)
+      ]);
+
+      res.json({
+        date: startOfUTCDay(date),
+        rooms: rooms.map(room => {
+          const booking = occupancy.get(room.roomNumber);
+          return {
+            _id: room._id,
+            roomNumber: room.roomNumber,
+            roomCategory: room.roomCategory,
+            type: room.type,
+            housekeepingStatus: room.housekeepingStatus,
+            housekeepingUpdatedAt: room.housekeepingUpdatedAt,
+            occupied: Boolean(booking),
+            booking: booking ? {
+              _id: booking._id,
+              customerName: booking.customerName,
+              customerPhone: booking.customerPhone,
+              checkInDate: booking.checkInDate,
+              checkOutDate: booking.checkOutDate
+            } : null
+          };
+        })
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Update a room's housekeeping status
+  router.put('/rooms/:id/housekeeping', requireAdmin(), v.validate({ body: housekeepingRequest }), async (req, res, next) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ message: 'Room not found', code: 'ROOM_NOT_FOUND' });
+      }
+
+      const room = await Room.findByIdAndUpdate(
+        req.params.id,
+        { housekeepingStatus: req.body.status, housekeepingUpdatedAt: clock.now() },
+        { new: true, runValidators: true }
+      );
+
+      if (!room) {
+        return res.status(404).json({ message: 'Room not found', code: 'ROOM_NOT_FOUND' });
+      }
+
+      res.json(room);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Month view of booked, held, free and blocked nights per room or per bucket.
+  // Held nights are taken by a guest part way through booking.
+  router.get('/rooms/calendar', v.validate({ query: calendarQuery }), async (req, res, next) => {
+    try {
+      const { month, category, type, groupBy } = req.query;
+      const match = /^(\d{4})-(\d{2})$/.exec(month);
+
+      const monthStart = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, 1));
+      const monthEnd = new Date(Date.UTC(Number(match[1]), Number(match[2]), 1));
+      const days = Array.from(
+        { length: Math.round((monthEnd - monthStart) / DAY_MS) },
+        (_, index) => new Date(monthStart.getTime() + index * DAY_MS).toISOString().slice(0, 10)
+      );
+
+      const roomQuery = {};
+      if (category) roomQuery.roomCategory = category;
+      if (type) roomQuery.type = type;
+
+      const [rooms, bookedNights, heldNights] = await Promise.all([
+        Room.find(roomQuery).sort({ roomCategory: 1, type: 1, roomNumber: 1 }),
+        findBookedNights(monthStart, monthEnd),
+        findHeldNights(monthStart, monthEnd, clock.now())
+      ]);
+
+      // Out-of-order rooms are blocked from tonight on; retired rooms entirely
+      const tonight = Math.floor((startOfUTCDay(clock.now()) - monthStart) / DAY_MS);
+      const nightStatus = (room, night) => {
+        const booked = bookedNights.get(room.roomNumber);
+        if (booked && booked.has(night)) return 'booked';
+        const held = heldNights.get(room.roomNumber);
+        if (held && held.has(night)) return 'held';
+        if (room.isRetired) return 'blocked';
+        if (room.housekeepingStatus === 'Out of Order' && night >= tonight) return 'blocked';
+        return 'free';
+      };
+
+      // Skip retired rooms that have nothing booked this month
+      const calendarRooms = rooms.filter(room => !room.isRetired || bookedNights.has(room.roomNumber));
+
+      if (groupBy === 'room') {
+        return res.json({
+          month,
+          days,
+          rooms: calendarRooms.map(room => ({
+            roomNumber: room.roomNumber,
+            roomCategory: room.roomCategory,
+            type: room.type,
+            nights: days.map((day, night) => nightStatus(room, night))
+          }))
+        });
+      }
+
+      const buckets = new Map();
+      for (const room of calendarRooms) {
+        const key = CALENDAR_GROUPINGS[groupBy](room);
+        const bucketId = JSON.stringify(key);
+
+        if (!buckets.has(bucketId)) {
+          buckets.set(bucketId, {
+            ...key,
+            totalRooms: 0,
+            nights: days.map(date => ({ date, booked: 0, held: 0, free: 0, blocked: 0 }))
+          });
+        }
+
+        const bucket = buckets.get(bucketId);
+        bucket.totalRooms += 1;
+        days.forEach((day, night) => {
+          bucket.nights[night][nightStatus(room, night)] += 1;
+        });
+      }
+
+      res.json({ month, days, buckets: [...buckets.values()] });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Get available rooms by category and type
+  router.get('/rooms/available', v.validate({ query: availableRoomsQuery }), async (req, res, next) => {
+    try {
+      const { checkIn: checkInDate, checkOut: checkOutDate, category, type } = req.query;
+
+      // Get room numbers that are booked for the requested dates
+      const bookedRoomNumbers = await findBookedRoomNumbers(checkInDate, checkOutDate);
+
+      // Build query for available rooms
+      const roomQuery = {
+        roomNumber: { $nin: bookedRoomNumbers },
+        isRetired: { $ne: true },
+        housekeepingStatus: { $ne: 'Out of Order' }
+      };
+
+      // Add category filter if specified
+      if (category) {
+        roomQuery.roomCategory = category;
+      }
+
+      // Add type filter if specified
+      if (type) {
+        roomQuery.type = type;
+      }
+
+      // Find available rooms
+      const [availableRooms, occupancy, rules] = await Promise.all([
+        Room.find(roomQuery),
+        findOccupancyForNight(),
+        findPricingRules(checkInDate, checkOutDate)
+      ]);
+
+      // Quote each room night by night for the requested stay
+      const roomsWithOccupancy = withOccupancy(availableRooms, occupancy);
+      res.json(roomsWithOccupancy.map(room => {
+        const { roomNumber, basePrice, ...quote } = quoteRoom(room, checkInDate, checkOutDate, rules);
+        return { ...room, quote };
+      }));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createRoomsRouter };
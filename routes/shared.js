@@ -0,0 +1,80 @@
+const Room = require('../models/Room');
+const v = require('../services/validation');
+const { startOfUTCDay } = require('../services/pricing');
+
+// Request schemas and query helpers used by more than one router. Enum values
+// come from the models.
+const ROOM_CATEGORIES = Room.schema.path('roomCategory').enumValues;
+const ROOM_TYPES = Room.schema.path('type').enumValues;
+
+const paginationQuery = {
+  page: v.number({ integer: true, min: 1 }).default(1),
+  limit: v.number({ integer: true, min: 1, max: 100 }).default(20)
+};
+
+const roomFilterQuery = {
+  category: v.oneOf(ROOM_CATEGORIES).optional(),
+  type: v.oneOf(ROOM_TYPES).optional()
+};
+
+const onDateQuery = v.object({ date: v.date().optional() });
+
+const requestedRoomsSchema = v.array(v.object({ roomNumber: v.string({ max: 20 }) }), { min: 1, max: 20 });
+
+// The stay being held, booked or changed to
+const newStayFields = {
+  checkInDate: v.date(),
+  checkOutDate: v.date(),
+  roomType: v.oneOf(ROOM_TYPES),
+  selectedRooms: requestedRoomsSchema
+};
+
+// Rules for stay dates, for `.refine()` on the schema holding both fields
+function checkOutAfterCheckIn(checkInField, checkOutField) {
+  return (value) => (value[checkInField] && value[checkOutField] && value[checkOutField] <= value[checkInField]
+    ? { field: checkOutField, code: 'INVALID_DATES', message: `${checkOutField} must be after ${checkInField}` }
+    : null);
+}
+
+function checkInNotInPast(checkInField, clock) {
+  return (value) => (value[checkInField] && value[checkInField] < startOfUTCDay(clock.now())
+    ? { field: checkInField, code: 'DATE_IN_PAST', message: `${checkInField} cannot be in the past` }
+    : null);
+}
+
+// Match one value, or any of a list (from v.list) for enum filters
+function inFilter(values) {
+  return values.length === 1 ? values[0] : { $in: values };
+}
+
+// Compare phone numbers on their last 10 digits, ignoring formatting and country code
+function phonesMatch(a, b) {
+  const digits = (value) => String(value || '').replace(/\D/g, '').slice(-10);
+  return digits(a).length > 0 && digits(a) === digits(b);
+}
+
+// Guests may cancel online until check-in; after that only the front desk can.
+// Returns the refusal for cancelBooking's `canCancel`, or null.
+function onlineCancellationDenial(booking, clock) {
+  if (booking.checkInDate <= clock.now()) {
+    return {
+      status: 409,
+      body: { message: 'Bookings cannot be cancelled online after check-in; please contact the front desk', code: 'CANCELLATION_WINDOW_CLOSED' }
+    };
+  }
+  return null;
+}
+
+module.exports = {
+  ROOM_CATEGORIES,
+  ROOM_TYPES,
+  paginationQuery,
+  roomFilterQuery,
+  onDateQuery,
+  newStayFields,
+  checkOutAfterCheckIn,
+  checkInNotInPast,
+  inFilter,
+  phonesMatch,
+  onlineCancellationDenial
+};
@@ -0,0 +1,46 @@
+// Give booking references (KYN-2026-00421) to bookings made before they were
+// stored. Bookings are numbered oldest first within the year they were made,
+// and keep the 6-character reference their confirmations quoted so guests can
+// still look them up with it. Safe to re-run: bookings that already have a
+// reference are left alone.
+//
+// Usage: node scripts/backfill-booking-refs.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+
+async function main() {
+  if (!process.env.MONGODB_URI) {
+    console.error('Missing required environment variable: MONGODB_URI');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  await Booking.init();
+
+  const cursor = Booking.collection
+    .find({ bookingRef: { $exists: false } }, { projection: { bookingDate: 1, createdAt: 1 } })
+    .sort({ bookingDate: 1, createdAt: 1, _id: 1 });
+
+  let numbered = 0;
+  for await (const booking of cursor) {
+    const madeAt = booking.bookingDate || booking.createdAt || booking._id.getTimestamp();
+    const bookingRef = await Booking.nextBookingRef(madeAt);
+
+    // Written directly so the save hooks do not touch anything else
+    const result = await Booking.collection.updateOne(
+      { _id: booking._id, bookingRef: { $exists: false } },
+      { $set: { bookingRef, legacyRef: booking._id.toString().slice(-6) } }
+    );
+    numbered += result.modifiedCount;
+  }
+
+  console.log(`Gave booking references to ${numbered} bookings`);
+  await mongoose.disconnect();
+}
+
+main().catch(async error => {
+  console.error('Error backfilling booking references:', error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,74 @@
+// Create the room-night reservations for bookings made before they existed.
+// Safe to re-run: nights already reserved are left alone. Nights that two
+// bookings both claim are reported so the front desk can resolve them.
+//
+// Usage: node scripts/backfill-room-nights.js [--all]
+//   --all   also backfill stays that have already ended
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const RoomNight = require('../models/RoomNight');
+const { nightsBetween, dayKey } = require('../services/pricing');
+
+async function main() {
+  const all = process.argv.slice(2).includes('--all');
+
+  if (!process.env.MONGODB_URI) {
+    console.error('Missing required environment variable: MONGODB_URI');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  await RoomNight.init();
+
+  // Cancelled and no-show bookings do not hold their rooms
+  const query = { bookingStatus: { $nin: Booking.RELEASED_STATUSES } };
+  if (!all) query.checkOutDate = { $gt: new Date() };
+
+  const cursor = Booking.collection
+    .find(query, { projection: { selectedRooms: 1, checkInDate: 1, checkOutDate: 1 } })
+    .sort({ createdAt: 1 });
+
+  let bookings = 0;
+  let inserted = 0;
+  const conflicts = [];
+
+  for await (const booking of cursor) {
+    bookings++;
+    const nights = nightsBetween(booking.checkInDate, booking.checkOutDate);
+    const operations = booking.selectedRooms.flatMap(room => nights.map(night => ({
+      updateOne: {
+        filter: { roomNumber: room.roomNumber, night },
+        update: { $setOnInsert: { booking: booking._id } },
+        upsert: true
+      }
+    })));
+    if (operations.length === 0) continue;
+
+    const result = await RoomNight.bulkWrite(operations, { ordered: false });
+    inserted += result.upsertedCount;
+
+    // Nights already taken by an earlier booking are double bookings
+    const taken = await RoomNight.find({
+      booking: { $ne: booking._id },
+      $or: operations.map(operation => operation.updateOne.filter)
+    });
+    for (const night of taken) {
+      conflicts.push(`Room ${night.roomNumber} on ${dayKey(night.night)}: booking ${booking._id} overlaps booking ${night.booking}`);
+    }
+  }
+
+  console.log(`Backfilled ${inserted} room nights for ${bookings} bookings`);
+  if (conflicts.length > 0) {
+    console.warn(`${conflicts.length} double-booked room nights need attention:`);
+    conflicts.forEach(conflict => console.warn(`  ${conflict}`));
+  }
+
+  await mongoose.disconnect();
+}
+
+main().catch(async error => {
+  console.error('Error backfilling room nights:', error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,35 @@
+// Seed room inventory from a JSON file. Safe to re-run: rooms are matched by
+// roomNumber and only missing rooms are inserted unless --update is given.
+//
+// Usage: node scripts/seed-rooms.js [path/to/rooms.json] [--update]
+require('dotenv').config();
+const path = require('path');
+const mongoose = require('mongoose');
+const Room = require('../models/Room');
+
+async function main() {
+  const args = process.argv.slice(2);
+  const update = args.includes('--update');
+  const file = args.find(arg => !arg.startsWith('--')) || path.join(__dirname, '../data/rooms.json');
+
+  if (!process.env.MONGODB_URI) {
+    console.error('Missing required environment variable: MONGODB_URI');
+    process.exit(1);
+  }
+
+  const rooms = require(path.resolve(file));
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  await Room.init();
+
+  const { inserted, updated } = await Room.seed(rooms, { update });
+  console.log(`Seeded rooms from ${file}: ${inserted} inserted, ${updated} updated`);
+
+  await mongoose.disconnect();
+}
+
+main().catch(async error => {
+  console.error('Error seeding rooms:', error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
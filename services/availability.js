@@ -0,0 +1,385 @@
+const Booking = require('../models/Booking');
+const Room = require('../models/Room');
+const PricingRule = require('../models/PricingRule');
+const RoomNight = require('../models/RoomNight');
+const { DAY_MS, quoteRoom, nightsBetween, dayKey, startOfUTCDay } = require('./pricing');
+
+const ROOM_NIGHT_CONFLICT = {
+  message: 'One or more of the selected rooms was just booked by someone else',
+  code: 'ROOM_UNAVAILABLE'
+};
+
+// Booked nights per room within [from, to), computed in a single aggregation.
+// Returns a Map of room number to a Set of night offsets from `from` (0-based).
+async function findBookedNights(from, to) {
+  const toOffset = (field) => ({
+    $toInt: { $floor: { $divide: [{ $subtract: [field, from] }, DAY_MS] } }
+  });
+  const totalNights = Math.round((to - from) / DAY_MS);
+
+  const results = await Booking.aggregate([
+    {
+      $match: {
+        checkInDate: { $lt: to },
+        checkOutDate: { $gt: from },
+        bookingStatus: { $nin: Booking.RELEASED_STATUSES }
+      }
+    },
+    {
+      $project: {
+        roomNumber: '$selectedRooms.roomNumber',
+        night: {
+          $range: [
+            { $max: [0, toOffset('$checkInDate')] },
+            { $min: [totalNights, toOffset('$checkOutDate')] }
+          ]
+        }
+      }
+    },
+    { $unwind: '$roomNumber' },
+    { $unwind: '$night' },
+    { $group: { _id: '$roomNumber', nights: { $addToSet: '$night' } } }
+  ]);
+
+  return new Map(results.map(result => [result._id, new Set(result.nights)]));
+}
+
+// Nights within [from, to) held by unexpired holds, in the same shape as
+// findBookedNights
+async function findHeldNights(from, to, now) {
+  const held = await RoomNight.find({
+    holdToken: { $exists: true },
+    expiresAt: { $gt: now },
+    night: { $gte: from, $lt: to }
+  }, 'roomNumber night');
+
+  const nights = new Map();
+  for (const { roomNumber, night } of held) {
+    if (!nights.has(roomNumber)) nights.set(roomNumber, new Set());
+    nights.get(roomNumber).add(Math.round((night - from) / DAY_MS));
+  }
+  return nights;
+}
+
+// Add the computed "occupied tonight" view to room documents
+function withOccupancy(rooms, occupancy) {
+  return rooms.map(room => ({
+    ...room.toObject(),
+    isAvailable: !occupancy.has(room.roomNumber)
+  }));
+}
+
+// Active pricing rules that could touch any night in [from, to)
+function findPricingRules(from, to, session) {
+  return PricingRule.find({
+    isActive: true,
+    $and: [
+      { $or: [{ startDate: null }, { startDate: { $lt: to } }] },
+      { $or: [{ endDate: null }, { endDate: { $gte: startOfUTCDay(from) } }] }
+    ]
+  }).session(session || null);
+}
+
+// Nightly rates a booked room was sold at. Bookings made before pricing rules
+// only carry the flat nightly price.
+function bookedNightlyRates(room, checkInDate, checkOutDate) {
+  if (room.nightlyRates && room.nightlyRates.length > 0) {
+    return room.nightlyRates;
+  }
+  const nights = Math.ceil((checkOutDate - checkInDate) / DAY_MS);
+  return Array.from({ length: nights }, (_, night) => ({
+    date: new Date(startOfUTCDay(checkInDate).getTime() + night * DAY_MS),
+    price: room.price
+  }));
+}
+
+// The longest minimum stay any pricing rule sets for the quoted rooms, as a
+// rejection when the stay is shorter; null when it is long enough
+function minimumStayError(quotes, checkInDate, checkOutDate) {
+  const nights = Math.ceil((checkOutDate - checkInDate) / DAY_MS);
+  const minNights = Math.max(...quotes.map(quote => quote.minNights));
+  if (nights >= minNights) return null;
+  return {
+    status: 422,
+    body: { message: `A minimum stay of ${minNights} nights applies to these dates`, code: 'MIN_STAY_NOT_MET', minNights }
+  };
+}
+
+// Room availability and pricing as of `clock.now()`, which decides which
+// holds have expired and which night is "tonight"
+function createAvailability({ clock }) {
+  // Map each room number to the booking occupying it on the night starting on `date`.
+  // Only bookings still in progress count: cancelled and checked-out stays free the room.
+  async function findOccupancyForNight(date = clock.now()) {
+    const nightStart = startOfUTCDay(date);
+    const nightEnd = new Date(nightStart.getTime() + DAY_MS);
+
+    const bookings = await Booking.find({
+      checkInDate: { $lt: nightEnd },
+      checkOutDate: { $gt: nightStart },
+      bookingStatus: { $in: Booking.ACTIVE_STATUSES }
+    }, 'customerName customerPhone selectedRooms checkInDate checkOutDate');
+
+    const occupancy = new Map();
+    for (const booking of bookings) {
+      for (const room of booking.selectedRooms) {
+        occupancy.set(room.roomNumber, booking);
+      }
+    }
+    return occupancy;
+  }
+
+  // Find room numbers taken by active bookings or unexpired holds that overlap the
+  // given dates, optionally ignoring one booking (when that booking is being
+  // amended) or one hold (when it is being turned into a booking)
+  async function findBookedRoomNumbers(checkInDate, checkOutDate, session, excludeBookingId, excludeHoldToken) {
+    const query = {
+      checkInDate: { $lt: checkOutDate },
+      checkOutDate: { $gt: checkInDate },
+      bookingStatus: { $nin: Booking.RELEASED_STATUSES }
+    };
+    if (excludeBookingId) {
+      query._id = { $ne: excludeBookingId };
+    }
+
+    const holdQuery = {
+      holdToken: excludeHoldToken ? { $exists: true, $ne: excludeHoldToken } : { $exists: true },
+      expiresAt: { $gt: clock.now() },
+      night: { $gte: startOfUTCDay(checkInDate), $lt: checkOutDate }
+    };
+
+    const [overlappingBookings, heldRoomNumbers] = await Promise.all([
+      Booking.find(query).session(session || null),
+      RoomNight.distinct('roomNumber', holdQuery).session(session || null)
+    ]);
+
+    return [
+      ...overlappingBookings.flatMap(booking => booking.selectedRooms.map(room => room.roomNumber)),
+      ...heldRoomNumbers
+    ];
+  }
+
+  // Validate a room selection for the given dates and price it night by night
+  // from the Room collection and pricing rules. Returns `{ error: { status, body } }`
+  // when the selection is rejected. `keepRates` maps room numbers to
+  // `{ 'YYYY-MM-DD': price }` for nights that keep their previously booked price.
+  async function priceRoomSelection({ requestedRooms, roomType, checkInDate, checkOutDate, session, excludeBookingId, holdToken, keepRates = {} }) {
+    const reject = (status, body) => ({ error: { status, body } });
+
+    if (!Array.isArray(requestedRooms) || requestedRooms.length === 0) {
+      return reject(422, {
+        message: 'At least one room must be selected',
+        code: 'NO_ROOMS_SELECTED'
+      });
+    }
+
+    if (isNaN(checkInDate) || isNaN(checkOutDate) || checkOutDate <= checkInDate) {
+      return reject(422, {
+        message: 'Check-out date must be after check-in date',
+        code: 'INVALID_DATES'
+      });
+    }
+
+    const roomNumbers = [...new Set(requestedRooms.map(room => room && room.roomNumber))];
+
+    // Load the selected rooms so prices come from inventory, not the client
+    const rooms = await Room.find({ roomNumber: { $in: roomNumbers } }).session(session);
+    const roomsByNumber = new Map(rooms.map(room => [room.roomNumber, room]));
+
+    const unknownRooms = roomNumbers.filter(roomNumber => !roomsByNumber.has(roomNumber));
+    if (unknownRooms.length > 0) {
+      return reject(422, {
+        message: 'Some selected rooms do not exist',
+        code: 'ROOM_NOT_FOUND',
+        rooms: unknownRooms
+      });
+    }
+
+    const retiredRooms = rooms
+      .filter(room => room.isRetired && keepRates[room.roomNumber] === undefined)
+      .map(room => room.roomNumber);
+    if (retiredRooms.length > 0) {
+      return reject(422, {
+        message: 'Some selected rooms are no longer offered',
+        code: 'ROOM_RETIRED',
+        rooms: retiredRooms
+      });
+    }
+
+    const outOfOrderRooms = rooms
+      .filter(room => room.housekeepingStatus === 'Out of Order')
+      .map(room => room.roomNumber);
+    if (outOfOrderRooms.length > 0) {
+      return reject(422, {
+        message: 'Some selected rooms are out of order',
+        code: 'ROOM_OUT_OF_ORDER',
+        rooms: outOfOrderRooms
+      });
+    }
+
+    const mismatchedRooms = rooms
+      .filter(room => room.type !== roomType)
+      .map(room => room.roomNumber);
+    if (mismatchedRooms.length > 0) {
+      return reject(422, {
+        message: `Some selected rooms are not of type ${roomType}`,
+        code: 'ROOM_TYPE_MISMATCH',
+        rooms: mismatchedRooms
+      });
+    }
+
+    const roomCategories = new Set(rooms.map(room => room.roomCategory));
+    if (roomCategories.size > 1) {
+      return reject(422, {
+        message: 'All selected rooms must belong to the same category',
+        code: 'ROOM_CATEGORY_MISMATCH',
+        rooms: roomNumbers
+      });
+    }
+
+    // Reject rooms that are already booked for any of the requested nights
+    const bookedRoomNumbers = await findBookedRoomNumbers(checkInDate, checkOutDate, session, excludeBookingId, holdToken);
+    const unavailableRooms = roomNumbers.filter(roomNumber => bookedRoomNumbers.includes(roomNumber));
+    if (unavailableRooms.length > 0) {
+      return reject(409, {
+        message: 'Some selected rooms are no longer available for these dates',
+        code: 'ROOM_UNAVAILABLE',
+        rooms: unavailableRooms
+      });
+    }
+
+    // Price every night of every room from the Room collection and pricing rules
+    const rules = await findPricingRules(checkInDate, checkOutDate, session);
+    const quotes = roomNumbers.map(roomNumber =>
+      quoteRoom(roomsByNumber.get(roomNumber), checkInDate, checkOutDate, rules, keepRates[roomNumber]));
+
+    const stayError = minimumStayError(quotes, checkInDate, checkOutDate);
+    if (stayError) return { error: stayError };
+
+    const selectedRooms = quotes.map(quote => ({
+      roomNumber: quote.roomNumber,
+      roomCategory: roomsByNumber.get(quote.roomNumber).roomCategory,
+      type: roomsByNumber.get(quote.roomNumber).type,
+      price: quote.basePrice,
+      nightlyRates: quote.nights.map(night => ({ date: night.date, price: night.price })),
+      amount: quote.total
+    }));
+
+    return {
+      selectedRooms,
+      totalAmount: selectedRooms.reduce((sum, room) => sum + room.amount, 0),
+      roomCategory: rooms[0].roomCategory
+    };
+  }
+
+  // Choose rooms for a group of `headcount` guests from those free on the dates:
+  // preferred types first (in the order given), then the largest rooms and the
+  // cheapest beds, so the party needs few rooms and stays close together. Each
+  // room is filled to capacity before the next. With `ratePerGuestNight` every
+  // night is priced per guest in the room instead of at the room's tariff.
+  // Returns `{ error: { status, body } }` when the group does not fit.
+  async function allocateGroupRooms({ headcount, roomTypes = [], roomCategories = [], checkInDate, checkOutDate, session, ratePerGuestNight }) {
+    const reject = (status, body) => ({ error: { status, body } });
+
+    if (isNaN(checkInDate) || isNaN(checkOutDate) || checkOutDate <= checkInDate) {
+      return reject(422, {
+        message: 'Check-out date must be after check-in date',
+        code: 'INVALID_DATES'
+      });
+    }
+
+    const roomQuery = { isRetired: { $ne: true }, housekeepingStatus: { $ne: 'Out of Order' } };
+    if (roomTypes.length > 0) roomQuery.type = { $in: roomTypes };
+    if (roomCategories.length > 0) roomQuery.roomCategory = { $in: roomCategories };
+
+    const [rooms, bookedRoomNumbers] = await Promise.all([
+      Room.find(roomQuery).session(session || null),
+      findBookedRoomNumbers(checkInDate, checkOutDate, session)
+    ]);
+
+    const booked = new Set(bookedRoomNumbers);
+    const preference = (room) => (roomTypes.length > 0 ? roomTypes.indexOf(room.type) : 0);
+    const freeRooms = rooms
+      .filter(room => !booked.has(room.roomNumber))
+      .sort((a, b) => preference(a) - preference(b) ||
+        b.capacity - a.capacity ||
+        a.price / a.capacity - b.price / b.capacity ||
+        a.roomNumber.localeCompare(b.roomNumber, undefined, { numeric: true }));
+
+    const freeBeds = freeRooms.reduce((sum, room) => sum + room.capacity, 0);
+    if (freeBeds < headcount) {
+      return reject(409, {
+        message: `Only ${freeBeds} guests can be accommodated on these dates`,
+        code: 'NOT_ENOUGH_ROOMS',
+        available: freeBeds
+      });
+    }
+
+    const allocation = [];
+    let unplaced = headcount;
+    for (const room of freeRooms) {
+      if (unplaced <= 0) break;
+      const occupants = Math.min(room.capacity, unplaced);
+      allocation.push({ room, occupants });
+      unplaced -= occupants;
+    }
+
+    const rules = await findPricingRules(checkInDate, checkOutDate, session);
+    const nights = nightsBetween(checkInDate, checkOutDate);
+    const quotes = allocation.map(({ room, occupants }) => {
+      const groupRates = ratePerGuestNight === undefined
+        ? undefined
+        : Object.fromEntries(nights.map(night => [dayKey(night), occupants * ratePerGuestNight]));
+      return quoteRoom(room, checkInDate, checkOutDate, rules, groupRates);
+    });
+
+    const stayError = minimumStayError(quotes, checkInDate, checkOutDate);
+    if (stayError) return { error: stayError };
+
+    const selectedRooms = allocation.map(({ room, occupants }, index) => ({
+      roomNumber: room.roomNumber,
+      roomCategory: room.roomCategory,
+      type: room.type,
+      occupants,
+      price: quotes[index].basePrice,
+      nightlyRates: quotes[index].nights.map(night => ({ date: night.date, price: night.price })),
+      amount: quotes[index].total
+    }));
+
+    // The booking's category and type, where all the rooms share one
+    const shared = (field) => (new Set(selectedRooms.map(room => room[field])).size === 1 ? selectedRooms[0][field] : undefined);
+
+    return {
+      selectedRooms,
+      totalAmount: selectedRooms.reduce((sum, room) => sum + room.amount, 0),
+      capacity: allocation.reduce((sum, { room }) => sum + room.capacity, 0),
+      roomCategory: shared('roomCategory'),
+      roomType: shared('type')
+    };
+  }
+
+  // Take the room nights of a booking's stay, replacing any it held before.
+  // Must run inside the booking's transaction so both commit or neither does.
+  async function reserveRoomNights(booking, session) {
+    await RoomNight.release(booking._id, session);
+    await RoomNight.reserve(
+      { booking: booking._id },
+      booking.selectedRooms.map(room => room.roomNumber),
+      nightsBetween(booking.checkInDate, booking.checkOutDate),
+      session,
+      clock.now()
+    );
+  }
+
+  return { findOccupancyForNight, findBookedRoomNumbers, priceRoomSelection, allocateGroupRooms, reserveRoomNights };
+}
+
+module.exports = {
+  ROOM_NIGHT_CONFLICT,
+  createAvailability,
+  findBookedNights,
+  findHeldNights,
+  withOccupancy,
+  findPricingRules,
+  bookedNightlyRates
+};
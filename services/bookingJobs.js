@@ -0,0 +1,156 @@
+const Booking = require('../models/Booking');
+const RoomNight = require('../models/RoomNight');
+const { DAY_MS, startOfUTCDay } = require('./pricing');
+
+const MINUTE_MS = 60 * 1000;
+
+// Scheduled booking housekeeping. No-show marking relies on the front desk
+// checking guests in, so it can be switched off where that is not done.
+const jobPolicy = {
+  noShowsEnabled: process.env.NO_SHOW_JOB_ENABLED !== 'false',
+  noShowGraceHours: Number(process.env.NO_SHOW_GRACE_HOURS || 6),
+  autoCheckoutGraceHours: Number(process.env.AUTO_CHECKOUT_GRACE_HOURS || 6),
+  unpaidOnlineBookingMinutes: Number(process.env.UNPAID_BOOKING_EXPIRY_MINUTES || 60)
+};
+
+// The scheduler's jobs (see services/scheduler.js), run as of `clock.now()`
+function createBookingJobs({ db, clock, outbox, notifyBooking, bookings }) {
+  // Remind guests arriving tomorrow, once per booking
+  async function sendArrivalReminders(now = clock.now()) {
+    const tomorrow = new Date(startOfUTCDay(now).getTime() + DAY_MS);
+    const arriving = await Booking.find({
+      bookingStatus: 'Confirmed',
+      checkInDate: { $gte: tomorrow, $lt: new Date(tomorrow.getTime() + DAY_MS) },
+      reminderSentAt: { $exists: false }
+    });
+
+    for (const booking of arriving) {
+      await notifyBooking(booking, 'reminder', { text: true });
+      booking.reminderSentAt = now;
+      await booking.save();
+    }
+    return { reminded: arriving.length };
+  }
+
+  // Release the rooms of guests who never arrived. A guest is late `noShowGraceHours`
+  // after their stated arrival time, or after the end of the check-in day without one.
+  async function markNoShows(now = clock.now()) {
+    const cutoff = new Date(now.getTime() - jobPolicy.noShowGraceHours * 60 * 60 * 1000);
+    const late = await Booking.find({
+      bookingStatus: 'Confirmed',
+      $or: [
+        { arrivalTime: { $lte: cutoff } },
+        { arrivalTime: null, checkInDate: { $lte: new Date(cutoff.getTime() - DAY_MS) } }
+      ]
+    }, '_id');
+
+    let marked = 0;
+    for (const { _id } of late) {
+      const session = await db.startSession();
+      let released = false;
+      try {
+        await session.withTransaction(async () => {
+          // Re-checked in the transaction in case the guest was just checked in
+          const result = await Booking.updateOne(
+            { _id, bookingStatus: 'Confirmed' },
+            { $set: { bookingStatus: 'No-Show', noShowAt: now } },
+            { session }
+          );
+          released = result.modifiedCount === 1;
+          if (released) await RoomNight.release(_id, session);
+        });
+      } finally {
+        session.endSession();
+      }
+      if (released) marked++;
+    }
+    return { markedNoShow: marked };
+  }
+
+  // Check out guests whose checkout date passed more than `autoCheckoutGraceHours`
+  // ago. Bookings whose guests never checked in are left to the no-show job.
+  async function completePastStays(now = clock.now()) {
+    const cutoff = new Date(now.getTime() - jobPolicy.autoCheckoutGraceHours * 60 * 60 * 1000);
+    const pastStays = await Booking.find({
+      bookingStatus: 'Checked-In',
+      checkOutDate: { $lte: cutoff }
+    }, '_id');
+
+    let completed = 0;
+    for (const { _id } of pastStays) {
+      const result = await bookings.checkOutBooking(_id);
+      if (result.status === 200) completed++;
+    }
+    return { completed };
+  }
+
+  // Cancel online bookings that were never paid for, unless the guest uploaded
+  // proof of payment or started a gateway payment recently
+  async function expireUnpaidBookings(now = clock.now()) {
+    const cutoff = new Date(now.getTime() - jobPolicy.unpaidOnlineBookingMinutes * 60 * 1000);
+    const isUnpaid = (booking) => booking.paymentStatus === 'Pending' || booking.paymentStatus === 'Failed';
+
+    const unpaid = await Booking.find({
+      bookingStatus: 'Confirmed',
+      paymentMethod: 'online',
+      paymentStatus: { $in: ['Pending', 'Failed'] },
+      paymentProof: null,
+      createdAt: { $lte: cutoff },
+      'gatewayOrders.createdAt': { $not: { $gt: cutoff } }
+    }, '_id');
+
+    let expired = 0;
+    for (const { _id } of unpaid) {
+      // Re-checked inside the cancellation transaction in case a payment just arrived
+      const result = await bookings.cancelBooking(_id, {
+        cancelledBy: 'system',
+        reason: 'Online payment was not received in time',
+        canCancel: (booking) => isUnpaid(booking)
+          ? null
+          : { status: 409, body: { message: 'Booking has been paid', code: 'BOOKING_PAID' } }
+      });
+      if (result.status === 200) expired++;
+    }
+    return { expired };
+  }
+
+  return [
+    {
+      name: 'outbox',
+      description: 'Retry queued emails and text messages',
+      intervalMs: MINUTE_MS,
+      enabled: true,
+      run: () => outbox.processOutbox()
+    },
+    {
+      name: 'arrival-reminders',
+      description: 'Remind guests the day before check-in',
+      intervalMs: 60 * MINUTE_MS,
+      enabled: true,
+      run: () => sendArrivalReminders()
+    },
+    {
+      name: 'no-shows',
+      description: 'Mark bookings whose guests never arrived as no-shows',
+      intervalMs: 60 * MINUTE_MS,
+      enabled: jobPolicy.noShowsEnabled,
+      run: () => markNoShows()
+    },
+    {
+      name: 'auto-checkout',
+      description: 'Check out stays past their checkout date',
+      intervalMs: 60 * MINUTE_MS,
+      enabled: true,
+      run: () => completePastStays()
+    },
+    {
+      name: 'expire-unpaid',
+      description: 'Cancel online bookings that were never paid',
+      intervalMs: 15 * MINUTE_MS,
+      enabled: true,
+      run: () => expireUnpaidBookings()
+    }
+  ];
+}
+
+module.exports = { createBookingJobs };
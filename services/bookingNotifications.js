@@ -0,0 +1,135 @@
+const { renderEmail, renderText, DEFAULT_LANGUAGE } = require('./templates');
+const { toE164 } = require('./messaging');
+const { DAY_MS } = require('./pricing');
+
+const DATE_LOCALES = { en: 'en-US', mr: 'mr-IN', hi: 'hi-IN' };
+
+// Template values for a booking, with dates written in the given language
+function bookingTemplateData(booking, language, extras = {}) {
+  const formatDate = (date) => date.toLocaleDateString(DATE_LOCALES[language] || DATE_LOCALES.en, {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    timeZone: 'UTC'
+  });
+
+  // Seasonal pricing can vary the rate night to night
+  const rooms = booking.selectedRooms.map(room => {
+    const rates = room.nightlyRates.length > 0 ? room.nightlyRates.map(rate => rate.price) : [room.price];
+    const low = Math.min(...rates);
+    const high = Math.max(...rates);
+    return { roomNumber: room.roomNumber, rateLabel: low === high ? `₹${low}` : `₹${low} - ₹${high}` };
+  });
+
+  // Group bookings can mix rooms of several categories and types
+  const roomsOf = (field) => [...new Set(booking.selectedRooms.map(room => room[field]).filter(Boolean))].join(', ');
+
+  const { cancellation } = booking;
+  const balanceDue = booking.balanceDue || 0;
+
+  return {
+    hotel: {
+      name: process.env.HOTEL_NAME,
+      address: process.env.HOTEL_ADDRESS,
+      phone: process.env.HOTEL_PHONE
+    },
+    bookingRef: booking.reference,
+    customerName: booking.customerName,
+    customerPhone: booking.customerPhone,
+    customerEmail: booking.customerEmail,
+    roomCategory: booking.roomCategory || roomsOf('roomCategory'),
+    roomType: booking.roomType || roomsOf('type'),
+    checkIn: formatDate(booking.checkInDate),
+    checkOut: formatDate(booking.checkOutDate),
+    nights: Math.round((booking.checkOutDate - booking.checkInDate) / DAY_MS),
+    totalAmount: booking.totalAmount,
+    balanceDue: Math.max(balanceDue, 0),
+    credit: Math.max(-balanceDue, 0),
+    hasBalanceDue: balanceDue > 0,
+    hasCredit: balanceDue < 0,
+    paymentStatus: booking.paymentStatus,
+    paymentMethod: booking.paymentMethod,
+    specialRequests: booking.specialRequests,
+    rooms,
+    roomNumbers: rooms.map(room => room.roomNumber).join(', '),
+    cancellation: cancellation && cancellation.cancelledAt ? {
+      cancellationCharge: cancellation.cancellationCharge,
+      refundAmount: cancellation.refundAmount,
+      reason: cancellation.reason,
+      hasRefund: cancellation.refundAmount > 0,
+      byGuest: cancellation.cancelledBy === 'guest',
+      byStaff: cancellation.cancelledBy === 'admin',
+      bySystem: cancellation.cancelledBy === 'system'
+    } : null,
+    accentColor: '#4a6baf',
+    ...extras
+  };
+}
+
+// Booking notifications, queued through the outbox
+function createBookingNotifier({ outbox }) {
+  // Queue a booking notification in the guest's language: the email (unless
+  // `email` is false), with `adminEvent` the staff copy, and with `text` an SMS or
+  // WhatsApp message unless the guest opted out. Reports whether the guest's
+  // email and text went out straight away; failures stay in the outbox and are
+  // retried with backoff.
+  async function notifyBooking(booking, event, { adminEvent, email = true, text = false, extras = {}, attachments = [] } = {}) {
+    try {
+      const language = booking.language || DEFAULT_LANGUAGE;
+      const messages = [];
+
+      if (email && booking.customerEmail) {
+        messages.push({
+          booking: booking._id,
+          event,
+          language,
+          from: `"${process.env.HOTEL_NAME}" <${process.env.FROM_EMAIL}>`,
+          to: booking.customerEmail,
+          ...renderEmail(event, language, bookingTemplateData(booking, language, extras)),
+          attachments
+        });
+      }
+
+      if (adminEvent && process.env.ADMIN_EMAIL) {
+        messages.push({
+          booking: booking._id,
+          event: adminEvent,
+          language: DEFAULT_LANGUAGE,
+          from: `"${process.env.HOTEL_NAME} Booking System" <${process.env.FROM_EMAIL}>`,
+          to: process.env.ADMIN_EMAIL,
+          ...renderEmail(adminEvent, DEFAULT_LANGUAGE, bookingTemplateData(booking, DEFAULT_LANGUAGE, {
+            ...extras,
+            internal: true,
+            accentColor: '#d9534f'
+          }))
+        });
+      }
+
+      if (text && !booking.messaging.optOut) {
+        messages.push({
+          booking: booking._id,
+          event,
+          channel: booking.messaging.channel,
+          language,
+          to: toE164(booking.customerPhone),
+          body: renderText(event, language, bookingTemplateData(booking, language, extras))
+        });
+      }
+
+      const queued = await outbox.enqueue(messages);
+      const delivered = (guestChannels) => {
+        const guestMessages = queued.filter(n => guestChannels.includes(n.channel) && n.event === event);
+        return guestMessages.length > 0 && guestMessages.every(n => n.status === 'sent');
+      };
+
+      return { emailSent: delivered(['email']), messageSent: delivered(['sms', 'whatsapp']) };
+    } catch (error) {
+      console.error(`Error queueing ${event} notifications:`, error);
+      return { emailSent: false, messageSent: false };
+    }
+  }
+
+  return { notifyBooking };
+}
+
+module.exports = { bookingTemplateData, createBookingNotifier };
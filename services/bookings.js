@@ -0,0 +1,437 @@
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const Room = require('../models/Room');
+const Counter = require('../models/Counter');
+const Invoice = require('../models/Invoice');
+const RoomNight = require('../models/RoomNight');
+const { buildInvoice, financialYear, invoiceFileName, renderInvoicePdf } = require('./invoice');
+const { bookedNightlyRates } = require('./availability');
+const { DAY_MS, startOfUTCDay } = require('./pricing');
+
+const INVOICE_PREFIX = process.env.INVOICE_PREFIX || 'KYN';
+
+// Cancellation policy: full refund up to `fullRefundHours` before check-in,
+// otherwise `lateChargeNights` nights of the booked rooms are retained
+const cancellationPolicy = {
+  fullRefundHours: Number(process.env.CANCELLATION_FULL_REFUND_HOURS || 48),
+  lateChargeNights: Number(process.env.CANCELLATION_LATE_CHARGE_NIGHTS || 1)
+};
+
+const MAX_INVOICE_ATTEMPTS = 5;
+
+const BOOKING_NOT_FOUND = { status: 404, body: { message: 'Booking not found', code: 'BOOKING_NOT_FOUND' } };
+
+// Add a processed gateway refund to the ledger, once per refund id
+function recordGatewayRefund(booking, refundId, amount) {
+  const alreadyRecorded = booking.payments.some(
+    entry => entry.kind === 'refund' && entry.reference === refundId
+  );
+  if (!alreadyRecorded) {
+    booking.payments.push({ kind: 'refund', amount, method: 'gateway', reference: refundId });
+  }
+}
+
+// Shorten a stay to end on `checkOutDate`, dropping the later nights from the
+// rooms' rates and the total. Returns the change for the booking's history.
+function endStayEarly(booking, checkOutDate, { changedAt, changedBy }) {
+  const previous = {
+    checkInDate: booking.checkInDate,
+    checkOutDate: booking.checkOutDate,
+    roomType: booking.roomType,
+    selectedRooms: booking.selectedRooms.map(room => ({ roomNumber: room.roomNumber, price: room.price, amount: room.amount })),
+    totalAmount: booking.totalAmount
+  };
+
+  let dropped = 0;
+  booking.selectedRooms.forEach(room => {
+    const rates = bookedNightlyRates(room, booking.checkInDate, booking.checkOutDate);
+    const kept = rates.filter(rate => rate.date < checkOutDate);
+    dropped += rates.reduce((sum, rate) => sum + rate.price, 0) - kept.reduce((sum, rate) => sum + rate.price, 0);
+    room.nightlyRates = kept.map(rate => ({ date: rate.date, price: rate.price }));
+    room.amount = kept.reduce((sum, rate) => sum + rate.price, 0);
+  });
+
+  booking.checkOutDate = checkOutDate;
+  booking.totalAmount -= dropped;
+  booking.recalculatePayments();
+
+  return {
+    changedAt,
+    changedBy,
+    note: 'Checked out early',
+    previous,
+    totalAmount: booking.totalAmount,
+    balanceDue: booking.balanceDue
+  };
+}
+
+// Changes to a booking after it is made: invoicing, online payments,
+// cancellation and checkout. Multi-document changes run in transactions on `db`.
+function createBookingService({ db, clock, paymentProvider, notifyBooking }) {
+  // The invoice fields for a booking, keeping the billing details already on
+  // `existing` unless new ones are given
+  function invoiceFields(booking, billTo = {}, existing = null) {
+    return buildInvoice(booking, {
+      billTo: {
+        name: billTo.name || (existing && existing.billTo.name),
+        address: billTo.address || (existing && existing.billTo.address),
+        gstin: billTo.gstin || (existing && existing.billTo.gstin)
+      },
+      seller: {
+        name: process.env.HOTEL_NAME,
+        address: process.env.HOTEL_ADDRESS,
+        phone: process.env.HOTEL_PHONE,
+        gstin: process.env.HOTEL_GSTIN
+      }
+    });
+  }
+
+  // The issued invoice for a booking or, before one is issued, an unnumbered
+  // proforma. Viewing a bill never uses up an invoice number.
+  async function findInvoice(booking) {
+    const existing = await Invoice.findOne({ booking: booking._id });
+    if (existing) return existing;
+
+    return { ...invoiceFields(booking), booking: booking._id, issuedAt: clock.now(), proforma: true };
+  }
+
+  // Issue the invoice for a booking, or return the existing one. With `regenerate`
+  // the line items and payments are rebuilt but the invoice number is kept.
+  async function issueInvoice(booking, { admin, billTo = {}, regenerate = false } = {}) {
+    for (let attempt = 1; ; attempt++) {
+      const existing = await Invoice.findOne({ booking: booking._id });
+      if (existing && !regenerate) return existing;
+
+      if (existing) {
+        existing.set({ ...invoiceFields(booking, billTo, existing), issuedAt: clock.now(), issuedBy: admin ? admin._id : existing.issuedBy });
+        return existing.save();
+      }
+
+      // The number is taken in the same transaction as the invoice is created,
+      // so a request that loses a race gives its number back and the series
+      // has no gaps
+      const session = await db.startSession();
+      session.startTransaction();
+      try {
+        const issuedAt = clock.now();
+        const year = financialYear(issuedAt);
+        const seq = await Counter.next(`invoice-${year}`, { session });
+
+        const [invoice] = await Invoice.create([{
+          ...invoiceFields(booking, billTo),
+          invoiceNumber: `${INVOICE_PREFIX}/${year}/${String(seq).padStart(5, '0')}`,
+          booking: booking._id,
+          issuedAt,
+          issuedBy: admin ? admin._id : undefined
+        }], { session });
+
+        await session.commitTransaction();
+        return invoice;
+      } catch (error) {
+        // A failed commit has already ended the transaction
+        if (session.inTransaction()) await session.abortTransaction();
+        // Another request is issuing this invoice or the one before it: look again
+        if (!RoomNight.isConflict(error) || attempt >= MAX_INVOICE_ATTEMPTS) throw error;
+      } finally {
+        session.endSession();
+      }
+    }
+  }
+
+  // Work out the charge retained and the refund due under the cancellation policy
+  function calculateCancellation(booking, now = clock.now()) {
+    const { amountPaid } = booking.recalculatePayments();
+    const hoursUntilCheckIn = (booking.checkInDate - now) / (1000 * 60 * 60);
+
+    let cancellationCharge = 0;
+    if (hoursUntilCheckIn < cancellationPolicy.fullRefundHours) {
+      // Retain the first nights of the stay at the rates they were booked at
+      cancellationCharge = Math.min(
+        booking.totalAmount,
+        booking.selectedRooms.reduce((sum, room) => {
+          const rates = bookedNightlyRates(room, booking.checkInDate, booking.checkOutDate);
+          return sum + rates.slice(0, cancellationPolicy.lateChargeNights).reduce((total, rate) => total + rate.price, 0);
+        }, 0)
+      );
+    }
+
+    return {
+      cancellationCharge,
+      refundAmount: Math.max(0, amountPaid - cancellationCharge)
+    };
+  }
+
+  // Apply a verified gateway webhook event to the booking it belongs to
+  async function applyPaymentEvent(event) {
+    if (event.type === 'captured' || event.type === 'failed') {
+      const booking = await Booking.findOne({ 'gatewayOrders.orderId': event.orderId });
+      if (!booking) return null;
+
+      const order = booking.gatewayOrders.find(o => o.orderId === event.orderId);
+
+      // Gateways retry deliveries, so a captured order is never processed twice
+      if (order.status === 'captured') return booking;
+
+      order.paymentId = event.paymentId;
+
+      if (event.type === 'captured') {
+        order.status = 'captured';
+        order.capturedAt = clock.now();
+        booking.payments.push({
+          amount: event.amount,
+          method: 'gateway',
+          reference: event.paymentId,
+          note: `${order.provider} order ${order.orderId}`,
+          receivedAt: clock.now()
+        });
+      } else {
+        order.status = 'failed';
+        order.failureReason = event.reason;
+        if (booking.amountPaid <= 0) {
+          booking.paymentStatus = 'Failed';
+        }
+      }
+
+      await booking.save();
+
+      if (event.type === 'captured') {
+        await notifyBooking(booking, 'payment', { email: false, text: true, extras: { payment: { amount: event.amount } } });
+      }
+      return booking;
+    }
+
+    if (event.type === 'refunded' || event.type === 'refund_failed') {
+      const booking = await Booking.findOne({ 'gatewayOrders.paymentId': event.paymentId });
+      if (!booking) return null;
+
+      const order = booking.gatewayOrders.find(o => o.paymentId === event.paymentId);
+      const refund = order.refunds.find(r => r.refundId === event.refundId);
+      const status = event.type === 'refunded' ? 'processed' : 'failed';
+
+      if (refund) {
+        refund.status = status;
+      } else {
+        order.refunds.push({ refundId: event.refundId, amount: event.amount, status });
+      }
+
+      if (status === 'processed') {
+        recordGatewayRefund(booking, event.refundId, event.amount);
+      }
+
+      await booking.save();
+      return booking;
+    }
+
+    return null;
+  }
+
+  // Refund up to `amount` back through the gateway, newest captured payment first.
+  // Failures are recorded on the order so staff can settle them manually.
+  async function refundGatewayPayments(booking, amount) {
+    let remaining = amount;
+
+    const capturedOrders = booking.gatewayOrders
+      .filter(order => order.status === 'captured' && order.provider === paymentProvider.name)
+      .reverse();
+
+    for (const order of capturedOrders) {
+      if (remaining <= 0) break;
+
+      const alreadyRefunded = order.refunds
+        .filter(refund => refund.status !== 'failed')
+        .reduce((sum, refund) => sum + refund.amount, 0);
+      const refundAmount = Math.min(remaining, order.amount - alreadyRefunded);
+      if (refundAmount <= 0) continue;
+
+      try {
+        const refund = await paymentProvider.refund({
+          paymentId: order.paymentId,
+          amount: refundAmount,
+          notes: { bookingId: booking._id.toString() }
+        });
+        order.refunds.push({ refundId: refund.refundId, amount: refundAmount, status: refund.status });
+        if (refund.status === 'processed') {
+          recordGatewayRefund(booking, refund.refundId, refundAmount);
+        }
+        remaining -= refundAmount;
+      } catch (error) {
+        console.error('Gateway refund failed:', { bookingId: booking._id, orderId: order.orderId, error: error.message });
+        order.refunds.push({ amount: refundAmount, status: 'failed' });
+      }
+    }
+
+    await booking.save();
+    return amount - remaining;
+  }
+
+  // Cancel a booking, record the refund and release its rooms
+  async function cancelBooking(bookingId, { cancelledBy, admin, reason, refundAmount, canCancel }) {
+    if (!mongoose.isValidObjectId(bookingId)) return BOOKING_NOT_FOUND;
+
+    const session = await db.startSession();
+    session.startTransaction();
+
+    try {
+      const booking = await Booking.findById(bookingId).session(session);
+      if (!booking) {
+        await session.abortTransaction();
+        return BOOKING_NOT_FOUND;
+      }
+
+      const denial = canCancel ? canCancel(booking) : null;
+      if (denial) {
+        await session.abortTransaction();
+        return denial;
+      }
+
+      if (booking.bookingStatus !== 'Confirmed') {
+        await session.abortTransaction();
+        return {
+          status: 409,
+          body: { message: `Booking is already ${booking.bookingStatus.toLowerCase()}`, code: 'BOOKING_NOT_CANCELLABLE' }
+        };
+      }
+
+      const now = clock.now();
+      const policy = calculateCancellation(booking, now);
+
+      booking.bookingStatus = 'Cancelled';
+      booking.cancellation = {
+        cancelledAt: now,
+        cancelledBy,
+        admin: admin ? admin._id : undefined,
+        reason: reason || undefined,
+        cancellationCharge: policy.cancellationCharge,
+        refundAmount: refundAmount !== undefined ? refundAmount : policy.refundAmount
+      };
+      await RoomNight.release(booking._id, session);
+      await booking.save({ session });
+
+      await session.commitTransaction();
+
+      if (booking.cancellation.refundAmount > 0) {
+        await refundGatewayPayments(booking, booking.cancellation.refundAmount);
+      }
+
+      const notified = await notifyBooking(booking, 'cancellation', { adminEvent: 'admin-cancellation', text: true });
+
+      return {
+        status: 200,
+        body: { ...booking.toObject(), ...notified, message: 'Booking cancelled successfully' }
+      };
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+
+  // Close a stay: send the rooms to housekeeping, then issue the invoice and email
+  // it to the guest. Without `admin` the checkout was made by the scheduler.
+  async function checkOutBooking(bookingId, { admin } = {}) {
+    if (!mongoose.isValidObjectId(bookingId)) return BOOKING_NOT_FOUND;
+
+    const session = await db.startSession();
+    session.startTransaction();
+
+    let booking;
+    try {
+      booking = await Booking.findById(bookingId).session(session);
+      if (!booking) {
+        await session.abortTransaction();
+        return BOOKING_NOT_FOUND;
+      }
+
+      if (!Booking.ACTIVE_STATUSES.includes(booking.bookingStatus)) {
+        await session.abortTransaction();
+        return {
+          status: 409,
+          body: { message: `Cannot check out a ${booking.bookingStatus.toLowerCase()} booking`, code: 'BOOKING_NOT_ACTIVE' }
+        };
+      }
+
+      // A guest who never arrived is a no-show, not a stay to invoice
+      if (booking.bookingStatus !== 'Checked-In') {
+        await session.abortTransaction();
+        return {
+          status: 409,
+          body: { message: 'Only checked-in guests can be checked out', code: 'NOT_CHECKED_IN' }
+        };
+      }
+
+      await Room.updateMany(
+        { roomNumber: { $in: booking.selectedRooms.map(r => r.roomNumber) } },
+        { $set: { housekeepingStatus: 'Dirty', housekeepingUpdatedAt: clock.now() } },
+        { session }
+      );
+
+      // Nights the guest will not stay go back on sale and off the bill. The
+      // first night is kept, even when the guest leaves on the day they arrived.
+      const checkOutDay = new Date(Math.max(
+        startOfUTCDay(clock.now()).getTime(),
+        startOfUTCDay(booking.checkInDate).getTime() + DAY_MS
+      ));
+      if (checkOutDay < booking.checkOutDate) {
+        booking.changeHistory.push(endStayEarly(booking, checkOutDay, { changedAt: clock.now(), changedBy: admin && admin._id }));
+        await RoomNight.releaseFrom(booking._id, checkOutDay, session);
+      }
+
+      booking.bookingStatus = 'Completed';
+      booking.checkedOutAt = clock.now();
+      await booking.save({ session });
+
+      await session.commitTransaction();
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+
+    // The stay is closed either way; a failed invoice can be issued again later
+    let invoice = null;
+    let emailSent = false;
+    try {
+      invoice = await issueInvoice(booking, { admin, regenerate: true });
+      ({ emailSent } = await notifyBooking(booking, 'checkout', {
+        extras: {
+          invoice: {
+            invoiceNumber: invoice.invoiceNumber,
+            total: invoice.totals.total,
+            amountPaid: invoice.amountPaid
+          }
+        },
+        attachments: [{
+          filename: invoiceFileName(invoice, 'pdf'),
+          contentType: 'application/pdf',
+          content: await renderInvoicePdf(invoice)
+        }]
+      }));
+    } catch (error) {
+      console.error('Error issuing checkout invoice:', error);
+    }
+
+    return {
+      status: 200,
+      body: {
+        message: 'Checkout successful',
+        roomNumbers: booking.selectedRooms.map(r => r.roomNumber),
+        invoiceNumber: invoice ? invoice.invoiceNumber : null,
+        emailSent
+      }
+    };
+  }
+
+  return {
+    findInvoice,
+    issueInvoice,
+    calculateCancellation,
+    applyPaymentEvent,
+    refundGatewayPayments,
+    cancelBooking,
+    checkOutBooking
+  };
+}
+
+module.exports = { createBookingService };
@@ -0,0 +1,64 @@
+// An error that maps straight onto an API response. Handlers throw (or pass to
+// `next`) an ApiError and the error middleware sends `{ message, code, errors }`.
+class ApiError extends Error {
+  constructor(status, code, message, errors) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    // Field-level problems, as [{ field, code, message }]
+    this.errors = errors;
+  }
+
+  toJSON() {
+    return this.errors
+      ? { message: this.message, code: this.code, errors: this.errors }
+      : { message: this.message, code: this.code };
+  }
+}
+
+// Translate anything thrown by a handler into an ApiError. Mongoose and
+// body-parser problems become 400s; everything else is an internal error whose
+// details are logged rather than sent to the client.
+function toApiError(error) {
+  if (error instanceof ApiError) return error;
+
+  if (error.name === 'ValidationError' && error.errors) {
+    const errors = Object.values(error.errors).map(fieldError => {
+      if (fieldError.kind === 'required') {
+        return { field: fieldError.path, code: 'REQUIRED', message: `${fieldError.path} is required` };
+      }
+      if (fieldError.kind === 'enum') {
+        return {
+          field: fieldError.path,
+          code: 'INVALID_OPTION',
+          message: `${fieldError.path} must be one of ${fieldError.properties.enumValues.join(', ')}`
+        };
+      }
+      if (fieldError.name === 'CastError') {
+        return { field: fieldError.path, code: 'INVALID_VALUE', message: `${fieldError.path} is not a valid ${fieldError.kind.toLowerCase()}` };
+      }
+      return { field: fieldError.path, code: 'INVALID_VALUE', message: fieldError.message };
+    });
+    return new ApiError(400, 'VALIDATION_FAILED', errors.length === 1 ? errors[0].message : 'Some fields are invalid', errors);
+  }
+
+  if (error.name === 'CastError') {
+    return new ApiError(400, error.kind === 'ObjectId' ? 'INVALID_ID' : 'INVALID_VALUE', `${error.path} is not a valid ${error.kind.toLowerCase()}`);
+  }
+
+  if (error.name === 'MulterError') {
+    return new ApiError(400, 'INVALID_UPLOAD', error.message);
+  }
+
+  if (error.type === 'entity.parse.failed') {
+    return new ApiError(400, 'INVALID_JSON', 'Request body is not valid JSON');
+  }
+  if (error.type === 'entity.too.large') {
+    return new ApiError(413, 'PAYLOAD_TOO_LARGE', 'Request body is too large');
+  }
+
+  return new ApiError(500, 'INTERNAL_ERROR', 'Something went wrong');
+}
+
+module.exports = { ApiError, toApiError };
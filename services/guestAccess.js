@@ -0,0 +1,79 @@
+const crypto = require('crypto');
+const GuestCode = require('../models/GuestCode');
+const { renderEmail, renderText, DEFAULT_LANGUAGE } = require('./templates');
+const { toE164 } = require('./messaging');
+const { bookingTemplateData } = require('./bookingNotifications');
+
+const CODE_TTL_MINUTES = Number(process.env.GUEST_CODE_TTL_MINUTES || 10);
+const MAX_CODE_ATTEMPTS = 5;
+
+const hashCode = (code) => crypto.createHmac('sha256', process.env.JWT_SECRET).update(code).digest('hex');
+
+// One-time sign-in codes for the guest booking portal, sent to the email
+// address or phone number on the booking
+function createGuestAccess({ clock, outbox }) {
+  // Send a new code for `booking`, replacing any earlier one. `via` is 'email'
+  // or 'phone'; bookings without an email address always get a text. Resolves
+  // to the channel used and whether it went out.
+  async function sendCode(booking, { via }) {
+    const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+    const language = booking.language || DEFAULT_LANGUAGE;
+    const byEmail = via === 'email' && Boolean(booking.customerEmail);
+    const channel = byEmail ? 'email' : booking.messaging.channel;
+
+    await GuestCode.deleteMany({ booking: booking._id });
+    await GuestCode.create({
+      booking: booking._id,
+      codeHash: hashCode(code),
+      channel,
+      expiresAt: new Date(clock.now().getTime() + CODE_TTL_MINUTES * 60 * 1000)
+    });
+
+    const data = bookingTemplateData(booking, language, { code, expiresInMinutes: CODE_TTL_MINUTES });
+    const message = byEmail
+      ? {
+        from: `"${process.env.HOTEL_NAME}" <${process.env.FROM_EMAIL}>`,
+        to: booking.customerEmail,
+        ...renderEmail('guest-code', language, data)
+      }
+      : { to: toE164(booking.customerPhone), body: renderText('guest-code', language, data) };
+
+    // Sent once only: a retry would arrive after the code has expired
+    const [notification] = await outbox.enqueue([{
+      booking: booking._id,
+      event: 'guest-code',
+      channel,
+      language,
+      maxAttempts: 1,
+      ...message
+    }]);
+
+    return { channel, sent: notification.status === 'sent' };
+  }
+
+  // Check a code for `booking`. A correct code is used up; a few wrong guesses
+  // void it, and the guest has to ask for a new one.
+  async function verifyCode(booking, code) {
+    const entry = await GuestCode.findOne({
+      booking: booking._id,
+      expiresAt: { $gt: clock.now() },
+      attempts: { $lt: MAX_CODE_ATTEMPTS }
+    });
+    if (!entry) return false;
+
+    const expected = Buffer.from(entry.codeHash, 'hex');
+    const provided = Buffer.from(hashCode(String(code)), 'hex');
+    if (!crypto.timingSafeEqual(expected, provided)) {
+      await GuestCode.updateOne({ _id: entry._id }, { $inc: { attempts: 1 } });
+      return false;
+    }
+
+    // Only the request that deletes the code gets to use it
+    const { deletedCount } = await GuestCode.deleteOne({ _id: entry._id });
+    return deletedCount === 1;
+  }
+
+  return { sendCode, verifyCode };
+}
+
+module.exports = { createGuestAccess };
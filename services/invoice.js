@@ -0,0 +1,391 @@
+const PDFDocument = require('pdfkit');
+const { DAY_MS } = require('./pricing');
+const { escapeHtml } = require('./templates');
+
+// SAC code for room or unit accommodation services
+const ACCOMMODATION_SAC = '996311';
+
+// GST on accommodation is charged by the tariff of each room per night: 5% up to
+// ₹7500 (since September 2025; rooms up to ₹1000 are no longer exempt) and 18%
+// above. Tariffs are GST-inclusive, so tax is backed out of the booked price.
+const GST_SLABS = [
+  { upTo: 7500, rate: 5 },
+  { upTo: Infinity, rate: 18 }
+];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+function gstRateFor(tariff) {
+  return GST_SLABS.find(slab => tariff <= slab.upTo).rate;
+}
+
+// Indian financial year label for a date, e.g. 2026-27 for October 2026
+function financialYear(date) {
+  const year = date.getUTCMonth() >= 3 ? date.getUTCFullYear() : date.getUTCFullYear() - 1;
+  return `${year}-${String((year + 1) % 100).padStart(2, '0')}`;
+}
+
+// Split a GST-inclusive amount into taxable value and equal CGST/SGST halves.
+// The halves absorb rounding so the parts always add back up to the amount.
+function splitInclusiveAmount(amount, gstRate) {
+  const taxableValue = round2(amount / (1 + gstRate / 100));
+  const tax = round2(amount - taxableValue);
+  const cgst = round2(tax / 2);
+  return { taxableValue, cgst, sgst: round2(tax - cgst), total: round2(amount) };
+}
+
+function addMoney(target, line) {
+  target.taxableValue = round2(target.taxableValue + line.taxableValue);
+  target.cgst = round2(target.cgst + line.cgst);
+  target.sgst = round2(target.sgst + line.sgst);
+  target.total = round2(target.total + line.total);
+}
+
+const emptyMoney = () => ({ taxableValue: 0, cgst: 0, sgst: 0, total: 0 });
+
+// Per-room, per-night charges for a booking, at the rates each night was sold at.
+// Bookings made before seasonal pricing carry only a flat nightly price.
+function nightlyCharges(booking) {
+  const nights = Math.ceil((booking.checkOutDate - booking.checkInDate) / DAY_MS);
+
+  return booking.selectedRooms.flatMap(room => {
+    if (room.nightlyRates && room.nightlyRates.length > 0) {
+      return room.nightlyRates.map(rate => ({ roomNumber: room.roomNumber, date: rate.date, rate: rate.price }));
+    }
+
+    return Array.from({ length: nights }, (_, night) => ({
+      roomNumber: room.roomNumber,
+      date: new Date(booking.checkInDate.getTime() + night * DAY_MS),
+      rate: room.price
+    }));
+  });
+}
+
+// Bills shown before the invoice is issued carry no number; the numbered tax
+// invoice is only issued at checkout or by staff
+const invoiceTitle = (invoice) => (invoice.proforma ? 'Proforma Invoice' : 'Tax Invoice');
+
+// Download name for an invoice or proforma
+function invoiceFileName(invoice, extension) {
+  const name = invoice.proforma ? `proforma-${invoice.bookingRef || invoice.booking}` : invoice.invoiceNumber.replace(/\//g, '-');
+  return `${name}.${extension}`;
+}
+
+// Build the invoice fields (everything except number and issue metadata) for a booking
+function buildInvoice(booking, { billTo = {}, seller = {} } = {}) {
+  // Rooms of a group booking can differ in category and type
+  const roomsByNumber = new Map(booking.selectedRooms.map(room => [room.roomNumber, room]));
+  const lineItems = nightlyCharges(booking).map(charge => {
+    const gstRate = gstRateFor(charge.rate);
+    const room = roomsByNumber.get(charge.roomNumber);
+    const roomKind = `${room.roomCategory || booking.roomCategory} ${room.type || booking.roomType}`;
+    return {
+      description: `Room ${charge.roomNumber} (${roomKind}) - night of ${charge.date.toISOString().slice(0, 10)}`,
+      sac: ACCOMMODATION_SAC,
+      date: charge.date,
+      roomNumber: charge.roomNumber,
+      rate: charge.rate,
+      gstRate,
+      ...splitInclusiveAmount(charge.rate, gstRate)
+    };
+  });
+
+  const totals = emptyMoney();
+  const summaryByRate = new Map();
+  for (const line of lineItems) {
+    addMoney(totals, line);
+    if (!summaryByRate.has(line.gstRate)) {
+      summaryByRate.set(line.gstRate, { gstRate: line.gstRate, ...emptyMoney() });
+    }
+    addMoney(summaryByRate.get(line.gstRate), line);
+  }
+
+  const payments = booking.payments.map(entry => ({
+    kind: entry.kind,
+    method: entry.method,
+    reference: entry.reference,
+    amount: entry.amount,
+    receivedAt: entry.receivedAt
+  }));
+  const amountPaid = round2(payments.reduce(
+    (sum, entry) => sum + (entry.kind === 'refund' ? -entry.amount : entry.amount),
+    0
+  ));
+
+  return {
+    bookingRef: booking.reference,
+    seller,
+    billTo: {
+      name: billTo.name || booking.customerName,
+      phone: booking.customerPhone,
+      email: booking.customerEmail,
+      address: billTo.address || booking.customerAddress,
+      gstin: billTo.gstin
+    },
+    stay: {
+      checkInDate: booking.checkInDate,
+      checkOutDate: booking.checkOutDate,
+      nights: Math.ceil((booking.checkOutDate - booking.checkInDate) / DAY_MS)
+    },
+    lineItems,
+    taxSummary: [...summaryByRate.values()].sort((a, b) => a.gstRate - b.gstRate),
+    totals,
+    payments,
+    amountPaid,
+    balanceDue: round2(totals.total - amountPaid)
+  };
+}
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric',
+  timeZone: 'UTC'
+});
+
+const formatMoney = (amount) => Number(amount).toFixed(2);
+
+function renderInvoiceHtml(invoice) {
+  const cell = 'padding: 6px 8px; border-bottom: 1px solid #e0e0e0;';
+  const numberCell = `${cell} text-align: right;`;
+
+  const lineRows = invoice.lineItems.map(line => `
+        <tr>
+          <td style="${cell}">${escapeHtml(line.description)}</td>
+          <td style="${cell}">${escapeHtml(line.sac)}</td>
+          <td style="${numberCell}">${formatMoney(line.taxableValue)}</td>
+          <td style="${numberCell}">${line.gstRate}%</td>
+          <td style="${numberCell}">${formatMoney(line.cgst)}</td>
+          <td style="${numberCell}">${formatMoney(line.sgst)}</td>
+          <td style="${numberCell}">${formatMoney(line.total)}</td>
+        </tr>`).join('');
+
+  const taxRows = invoice.taxSummary.map(slab => `
+        <tr>
+          <td style="${cell}">GST @ ${slab.gstRate}%</td>
+          <td style="${numberCell}">${formatMoney(slab.taxableValue)}</td>
+          <td style="${numberCell}">${formatMoney(slab.cgst)}</td>
+          <td style="${numberCell}">${formatMoney(slab.sgst)}</td>
+        </tr>`).join('');
+
+  const paymentRows = invoice.payments.map(entry => `
+        <tr>
+          <td style="${cell}">${formatDate(entry.receivedAt)}</td>
+          <td style="${cell}">${escapeHtml(entry.kind === 'refund' ? `Refund (${entry.method})` : entry.method)}</td>
+          <td style="${cell}">${escapeHtml(entry.reference || '')}</td>
+          <td style="${numberCell}">${entry.kind === 'refund' ? '-' : ''}${formatMoney(entry.amount)}</td>
+        </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>${invoiceTitle(invoice)} ${escapeHtml(invoice.invoiceNumber || invoice.bookingRef || '')}</title>
+</head>
+<body style="font-family: Arial, sans-serif; max-width: 800px; margin: 0 auto; color: #333;">
+  <div style="background-color: #4a6baf; color: white; padding: 20px;">
+    <h1 style="margin: 0; font-size: 22px;">${invoiceTitle(invoice)}</h1>
+    <p style="margin: 5px 0 0;">${escapeHtml(invoice.seller.name)}</p>
+  </div>
+
+  <table style="width: 100%; margin: 16px 0;">
+    <tr>
+      <td style="vertical-align: top; width: 50%;">
+        <strong>${escapeHtml(invoice.seller.name)}</strong><br>
+        ${escapeHtml(invoice.seller.address)}<br>
+        Phone: ${escapeHtml(invoice.seller.phone)}<br>
+        ${invoice.seller.gstin ? `GSTIN: ${escapeHtml(invoice.seller.gstin)}` : ''}
+      </td>
+      <td style="vertical-align: top;">
+        ${invoice.proforma ? '<strong>Not a tax invoice</strong><br>' : `<strong>Invoice No:</strong> ${escapeHtml(invoice.invoiceNumber)}<br>`}
+        <strong>Date:</strong> ${formatDate(invoice.issuedAt)}<br>
+        ${invoice.bookingRef ? `<strong>Booking Ref:</strong> ${escapeHtml(invoice.bookingRef)}<br>` : ''}
+        <strong>Check-in:</strong> ${formatDate(invoice.stay.checkInDate)}<br>
+        <strong>Check-out:</strong> ${formatDate(invoice.stay.checkOutDate)} (${invoice.stay.nights} night${invoice.stay.nights === 1 ? '' : 's'})
+      </td>
+    </tr>
+  </table>
+
+  <h3 style="color: #4a6baf;">Bill To</h3>
+  <p style="margin: 0 0 16px;">
+    ${escapeHtml(invoice.billTo.name)}<br>
+    ${invoice.billTo.address ? `${escapeHtml(invoice.billTo.address)}<br>` : ''}
+    ${escapeHtml(invoice.billTo.phone)}${invoice.billTo.email ? ` &middot; ${escapeHtml(invoice.billTo.email)}` : ''}
+    ${invoice.billTo.gstin ? `<br>GSTIN: ${escapeHtml(invoice.billTo.gstin)}` : ''}
+  </p>
+
+  <table style="width: 100%; border-collapse: collapse; font-size: 13px;">
+    <tr>
+      <th style="${cell} text-align: left;">Description</th>
+      <th style="${cell} text-align: left;">SAC</th>
+      <th style="${numberCell}">Taxable (₹)</th>
+      <th style="${numberCell}">GST</th>
+      <th style="${numberCell}">CGST (₹)</th>
+      <th style="${numberCell}">SGST (₹)</th>
+      <th style="${numberCell}">Total (₹)</th>
+    </tr>${lineRows}
+    <tr>
+      <th style="${cell} text-align: left;" colspan="2">Total</th>
+      <th style="${numberCell}">${formatMoney(invoice.totals.taxableValue)}</th>
+      <th style="${numberCell}"></th>
+      <th style="${numberCell}">${formatMoney(invoice.totals.cgst)}</th>
+      <th style="${numberCell}">${formatMoney(invoice.totals.sgst)}</th>
+      <th style="${numberCell}">${formatMoney(invoice.totals.total)}</th>
+    </tr>
+  </table>
+
+  <h3 style="color: #4a6baf;">Tax Summary</h3>
+  <table style="width: 100%; border-collapse: collapse; font-size: 13px;">
+    <tr>
+      <th style="${cell} text-align: left;">Slab</th>
+      <th style="${numberCell}">Taxable (₹)</th>
+      <th style="${numberCell}">CGST (₹)</th>
+      <th style="${numberCell}">SGST (₹)</th>
+    </tr>${taxRows}
+  </table>
+
+  <h3 style="color: #4a6baf;">Payments Received</h3>
+  <table style="width: 100%; border-collapse: collapse; font-size: 13px;">
+    <tr>
+      <th style="${cell} text-align: left;">Date</th>
+      <th style="${cell} text-align: left;">Method</th>
+      <th style="${cell} text-align: left;">Reference</th>
+      <th style="${numberCell}">Amount (₹)</th>
+    </tr>${paymentRows || `
+    <tr><td style="${cell}" colspan="4">No payments received</td></tr>`}
+    <tr>
+      <th style="${cell} text-align: left;" colspan="3">Amount Paid</th>
+      <th style="${numberCell}">${formatMoney(invoice.amountPaid)}</th>
+    </tr>
+    <tr>
+      <th style="${cell} text-align: left;" colspan="3">${invoice.balanceDue < 0 ? 'Credit' : 'Balance Due'}</th>
+      <th style="${numberCell}">${formatMoney(Math.abs(invoice.balanceDue))}</th>
+    </tr>
+  </table>
+
+  <p style="font-size: 12px; color: #777; margin-top: 24px;">Room tariffs are inclusive of GST. This is a computer-generated invoice.</p>
+</body>
+</html>`;
+}
+
+// Render the invoice as a PDF. The built-in PDF fonts have no rupee glyph, so
+// amounts are printed as "Rs.".
+function renderInvoicePdf(invoice) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 40 });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const left = doc.page.margins.left;
+    const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+    doc.fontSize(18).font('Helvetica-Bold').text(invoiceTitle(invoice), { align: 'center' });
+    doc.moveDown(0.5);
+
+    doc.fontSize(10).font('Helvetica-Bold').text(invoice.seller.name || '');
+    doc.font('Helvetica').text(invoice.seller.address || '');
+    doc.text(`Phone: ${invoice.seller.phone || ''}`);
+    if (invoice.seller.gstin) doc.text(`GSTIN: ${invoice.seller.gstin}`);
+    doc.moveDown(0.5);
+
+    doc.text(invoice.proforma ? 'Not a tax invoice' : `Invoice No: ${invoice.invoiceNumber}`);
+    doc.text(`Date: ${formatDate(invoice.issuedAt)}`);
+    if (invoice.bookingRef) doc.text(`Booking Ref: ${invoice.bookingRef}`);
+    doc.text(`Stay: ${formatDate(invoice.stay.checkInDate)} to ${formatDate(invoice.stay.checkOutDate)} (${invoice.stay.nights} night${invoice.stay.nights === 1 ? '' : 's'})`);
+    doc.moveDown(0.5);
+
+    doc.font('Helvetica-Bold').text('Bill To');
+    doc.font('Helvetica').text(invoice.billTo.name);
+    if (invoice.billTo.address) doc.text(invoice.billTo.address);
+    doc.text([invoice.billTo.phone, invoice.billTo.email].filter(Boolean).join(' | '));
+    if (invoice.billTo.gstin) doc.text(`GSTIN: ${invoice.billTo.gstin}`);
+    doc.moveDown();
+
+    // Column layout: description takes what the number columns leave
+    const columns = [
+      { label: 'Description', width: width - 310, align: 'left' },
+      { label: 'Taxable', width: 70, align: 'right' },
+      { label: 'GST', width: 35, align: 'right' },
+      { label: 'CGST', width: 65, align: 'right' },
+      { label: 'SGST', width: 65, align: 'right' },
+      { label: 'Total', width: 75, align: 'right' }
+    ];
+
+    const drawRow = (values, { bold = false } = {}) => {
+      if (doc.y > doc.page.height - doc.page.margins.bottom - 30) doc.addPage();
+
+      const y = doc.y;
+      let x = left;
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+
+      const heights = values.map((value, index) =>
+        doc.heightOfString(String(value), { width: columns[index].width - 4 }));
+      values.forEach((value, index) => {
+        doc.text(String(value), x, y, { width: columns[index].width - 4, align: columns[index].align });
+        x += columns[index].width;
+      });
+
+      doc.x = left;
+      doc.y = y + Math.max(...heights) + 4;
+      doc.moveTo(left, doc.y - 2).lineTo(left + width, doc.y - 2).strokeColor('#dddddd').stroke();
+    };
+
+    drawRow(columns.map(column => column.label), { bold: true });
+    invoice.lineItems.forEach(line => drawRow([
+      line.description,
+      formatMoney(line.taxableValue),
+      `${line.gstRate}%`,
+      formatMoney(line.cgst),
+      formatMoney(line.sgst),
+      formatMoney(line.total)
+    ]));
+    drawRow([
+      'Total (Rs.)',
+      formatMoney(invoice.totals.taxableValue),
+      '',
+      formatMoney(invoice.totals.cgst),
+      formatMoney(invoice.totals.sgst),
+      formatMoney(invoice.totals.total)
+    ], { bold: true });
+
+    doc.moveDown();
+    doc.font('Helvetica-Bold').fontSize(10).text('Tax Summary', left);
+    doc.font('Helvetica');
+    invoice.taxSummary.forEach(slab => {
+      doc.text(`GST @ ${slab.gstRate}%: taxable Rs. ${formatMoney(slab.taxableValue)}, CGST Rs. ${formatMoney(slab.cgst)}, SGST Rs. ${formatMoney(slab.sgst)}`);
+    });
+
+    doc.moveDown();
+    doc.font('Helvetica-Bold').text('Payments Received');
+    doc.font('Helvetica');
+    if (invoice.payments.length === 0) {
+      doc.text('No payments received');
+    }
+    invoice.payments.forEach(entry => {
+      const label = entry.kind === 'refund' ? `Refund (${entry.method})` : entry.method;
+      const sign = entry.kind === 'refund' ? '-' : '';
+      doc.text(`${formatDate(entry.receivedAt)}  ${label}${entry.reference ? ` (${entry.reference})` : ''}: ${sign}Rs. ${formatMoney(entry.amount)}`);
+    });
+    doc.moveDown(0.5);
+    doc.font('Helvetica-Bold').text(`Amount Paid: Rs. ${formatMoney(invoice.amountPaid)}`);
+    doc.text(`${invoice.balanceDue < 0 ? 'Credit' : 'Balance Due'}: Rs. ${formatMoney(Math.abs(invoice.balanceDue))}`);
+
+    doc.moveDown();
+    doc.font('Helvetica').fontSize(8).fillColor('#777777')
+      .text('Room tariffs are inclusive of GST. This is a computer-generated invoice.');
+
+    doc.end();
+  });
+}
+
+module.exports = {
+  GST_SLABS,
+  gstRateFor,
+  financialYear,
+  buildInvoice,
+  invoiceFileName,
+  renderInvoiceHtml,
+  renderInvoicePdf
+};
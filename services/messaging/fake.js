@@ -0,0 +1,28 @@
+const crypto = require('crypto');
+
+// Only the latest messages are kept, so a long-running local server does not grow
+const MAX_KEPT_MESSAGES = 500;
+
+// Offline stand-in for Twilio. Messages are kept in memory instead of being sent,
+// so tests and local setups can inspect what a guest would have received.
+function createFakeProvider() {
+  const sent = [];
+
+  return {
+    name: 'fake',
+    sent,
+
+    async send({ channel, to, body }) {
+      const messageId = `fake_${crypto.randomBytes(7).toString('hex')}`;
+      sent.push({ messageId, channel, to, body, sentAt: new Date() });
+      if (sent.length > MAX_KEPT_MESSAGES) sent.splice(0, sent.length - MAX_KEPT_MESSAGES);
+      return messageId;
+    },
+
+    clear() {
+      sent.length = 0;
+    }
+  };
+}
+
+module.exports = createFakeProvider;
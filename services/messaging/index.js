@@ -0,0 +1,39 @@
+const createTwilioProvider = require('./twilio');
+const createFakeProvider = require('./fake');
+
+// Pick the SMS/WhatsApp provider from MESSAGING_PROVIDER. Without one, Twilio is
+// used when its credentials are configured and the recording fake otherwise.
+// Production never falls back to the fake: messages would be marked sent while
+// guests, waiting for sign-in codes among others, receive nothing.
+function createMessagingProvider(env = process.env) {
+  const providerName = env.MESSAGING_PROVIDER || (env.TWILIO_ACCOUNT_SID ? 'twilio' : 'fake');
+
+  if (providerName === 'fake' && env.NODE_ENV === 'production') {
+    throw new Error('The fake messaging provider cannot be used in production; configure TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and a sender number');
+  }
+
+  switch (providerName) {
+    case 'twilio':
+      return createTwilioProvider({
+        accountSid: env.TWILIO_ACCOUNT_SID,
+        authToken: env.TWILIO_AUTH_TOKEN,
+        smsFrom: env.TWILIO_SMS_FROM,
+        whatsappFrom: env.TWILIO_WHATSAPP_FROM
+      });
+    case 'fake':
+      return createFakeProvider();
+    default:
+      throw new Error(`Unknown messaging provider: ${providerName}`);
+  }
+}
+
+// Normalise a guest phone number to E.164, assuming India for bare 10-digit numbers
+function toE164(phone, defaultCountryCode = '91') {
+  const digits = String(phone || '').replace(/\D/g, '');
+  if (String(phone).trim().startsWith('+')) return `+${digits}`;
+  if (digits.length === 10) return `+${defaultCountryCode}${digits}`;
+  if (digits.length === 11 && digits.startsWith('0')) return `+${defaultCountryCode}${digits.slice(1)}`;
+  return `+${digits}`;
+}
+
+module.exports = { createMessagingProvider, toE164 };
@@ -0,0 +1,25 @@
+const twilio = require('twilio');
+
+// Twilio Programmable Messaging for SMS and WhatsApp
+function createTwilioProvider({ accountSid, authToken, smsFrom, whatsappFrom }) {
+  const client = twilio(accountSid, authToken);
+
+  return {
+    name: 'twilio',
+
+    // Resolves to the Twilio message SID
+    async send({ channel, to, body }) {
+      const from = channel === 'whatsapp' ? whatsappFrom : smsFrom;
+      if (!from) throw new Error(`No Twilio sender number configured for ${channel}`);
+
+      const message = await client.messages.create({
+        from: channel === 'whatsapp' ? `whatsapp:${from}` : from,
+        to: channel === 'whatsapp' ? `whatsapp:${to}` : to,
+        body
+      });
+      return message.sid;
+    }
+  };
+}
+
+module.exports = createTwilioProvider;
@@ -0,0 +1,109 @@
+const Notification = require('../models/Notification');
+
+const LOCK_MS = 2 * 60 * 1000;
+const BASE_BACKOFF_MS = 60 * 1000;
+const MAX_BACKOFF_MS = 6 * 60 * 60 * 1000;
+
+// Wait 1m, 5m, 25m, ... between attempts, capped at 6h
+function backoffDelay(attempts) {
+  return Math.min(BASE_BACKOFF_MS * Math.pow(5, Math.max(attempts - 1, 0)), MAX_BACKOFF_MS);
+}
+
+// Persisted outbox. `senders` maps a channel to an async function that delivers
+// a notification and resolves to the provider's message id.
+function createOutbox({ senders, clock }) {
+  // Atomically take a due message so concurrent workers never send it twice.
+  // A message stuck in 'sending' past its lock is treated as due again.
+  function claim(filter) {
+    const now = clock.now();
+    return Notification.findOneAndUpdate(
+      {
+        ...filter,
+        $or: [
+          { status: 'pending', nextAttemptAt: { $lte: now } },
+          { status: 'sending', lockedUntil: { $lte: now } }
+        ]
+      },
+      {
+        $set: { status: 'sending', lockedUntil: new Date(now.getTime() + LOCK_MS) },
+        $inc: { attempts: 1 }
+      },
+      { new: true, sort: { nextAttemptAt: 1 } }
+    );
+  }
+
+  async function deliver(notification) {
+    const send = senders[notification.channel];
+
+    try {
+      if (!send) throw new Error(`No sender configured for channel: ${notification.channel}`);
+      const providerMessageId = await send(notification);
+
+      notification.set({
+        status: 'sent',
+        sentAt: clock.now(),
+        providerMessageId,
+        lockedUntil: undefined,
+        lastError: undefined
+      });
+    } catch (error) {
+      const exhausted = notification.attempts >= notification.maxAttempts;
+      console.error(`Error sending ${notification.event} ${notification.channel} to ${notification.to}:`, error.message);
+
+      notification.set({
+        status: exhausted ? 'failed' : 'pending',
+        nextAttemptAt: exhausted ? undefined : new Date(clock.now().getTime() + backoffDelay(notification.attempts)),
+        lockedUntil: undefined,
+        lastError: error.message
+      });
+    }
+
+    await notification.save();
+    return notification.status === 'sent';
+  }
+
+  // Queue messages and try each once straight away. Resolves to the queued
+  // notifications; anything that failed is left for processOutbox to retry.
+  async function enqueue(messages) {
+    const now = clock.now();
+    const queued = await Notification.insertMany(messages.map(message => ({ ...message, nextAttemptAt: now })));
+    const results = [];
+    for (const queuedNotification of queued) {
+      const notification = await claim({ _id: queuedNotification._id });
+      if (notification) await deliver(notification);
+      results.push(notification || queuedNotification);
+    }
+    return results;
+  }
+
+  // Send everything that is due, oldest first
+  async function processOutbox({ limit = 50 } = {}) {
+    const result = { sent: 0, failed: 0 };
+
+    for (let i = 0; i < limit; i++) {
+      const notification = await claim({});
+      if (!notification) break;
+      if (await deliver(notification)) result.sent++;
+      else result.failed++;
+    }
+    return result;
+  }
+
+  // Give a failed message a fresh set of attempts and send it now
+  async function retry(notificationId) {
+    const notification = await Notification.findOneAndUpdate(
+      { _id: notificationId, status: { $in: ['pending', 'failed'] } },
+      { $set: { status: 'pending', attempts: 0, nextAttemptAt: clock.now() } },
+      { new: true }
+    );
+    if (!notification) return null;
+
+    const claimed = await claim({ _id: notification._id });
+    if (claimed) await deliver(claimed);
+    return claimed || notification;
+  }
+
+  return { enqueue, processOutbox, retry };
+}
+
+module.exports = { createOutbox, backoffDelay };
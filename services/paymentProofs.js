@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { ApiError } = require('./errors');
+
+// Accepted proof formats, recognised by their first bytes rather than by the
+// file name or the type the client claims
+const FILE_SIGNATURES = [
+  { contentType: 'image/jpeg', matches: (buf) => buf.length >= 3 && buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff },
+  { contentType: 'image/png', matches: (buf) => buf.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { contentType: 'image/webp', matches: (buf) => buf.subarray(0, 4).toString('latin1') === 'RIFF' && buf.subarray(8, 12).toString('latin1') === 'WEBP' },
+  { contentType: 'application/pdf', matches: (buf) => buf.subarray(0, 5).toString('latin1') === '%PDF-' }
+];
+
+// Longest side of a stored proof image and of its thumbnail, in pixels
+const MAX_IMAGE_SIZE = 2000;
+const THUMBNAIL_SIZE = 320;
+
+// Proofs from before the storage backend were written here under their upload name
+const LEGACY_UPLOAD_DIR = path.join(__dirname, '../public/uploads');
+const LEGACY_CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.pdf': 'application/pdf'
+};
+
+function detectContentType(buffer) {
+  const signature = FILE_SIGNATURES.find(candidate => candidate.matches(buffer));
+  return signature ? signature.contentType : null;
+}
+
+// Re-encode an uploaded image as JPEG no larger than `maxSize` on either side.
+// This drops EXIF data (such as where the photo was taken) and anything
+// smuggled in after the image data; rotate() applies the EXIF orientation first.
+function reencodeImage(buffer, { maxSize = MAX_IMAGE_SIZE, quality = 85 } = {}) {
+  return sharp(buffer)
+    .rotate()
+    .resize(maxSize, maxSize, { fit: 'inside', withoutEnlargement: true })
+    .jpeg({ quality })
+    .toBuffer();
+}
+
+const thumbnailKey = (key) => key.replace(/\.jpg$/, '-thumb.jpg');
+const isLegacy = (key) => key.startsWith('/uploads/');
+
+// Payment screenshots and receipts. Files are stored under random names in
+// `storage` and only ever read back through the API.
+function createPaymentProofs({ storage }) {
+  // Check and store an uploaded proof, resolving to its storage key. Images are
+  // re-encoded as JPEG and get a thumbnail.
+  async function save(file) {
+    const contentType = detectContentType(file.buffer);
+    if (!contentType) {
+      throw new ApiError(400, 'UNSUPPORTED_FILE_TYPE', 'Payment proof must be a JPEG, PNG or WebP image or a PDF');
+    }
+
+    const id = crypto.randomBytes(16).toString('hex');
+
+    if (contentType === 'application/pdf') {
+      const key = `payment-proofs/${id}.pdf`;
+      await storage.put(key, file.buffer, { contentType });
+      return key;
+    }
+
+    let image;
+    let thumbnail;
+    try {
+      [image, thumbnail] = await Promise.all([
+        reencodeImage(file.buffer),
+        reencodeImage(file.buffer, { maxSize: THUMBNAIL_SIZE, quality: 70 })
+      ]);
+    } catch (error) {
+      throw new ApiError(400, 'INVALID_IMAGE', 'Payment proof image could not be read');
+    }
+
+    const key = `payment-proofs/${id}.jpg`;
+    await Promise.all([
+      storage.put(key, image, { contentType: 'image/jpeg' }),
+      storage.put(thumbnailKey(key), thumbnail, { contentType: 'image/jpeg' })
+    ]);
+    return key;
+  }
+
+  // Resolves to { body, contentType }, or null when the file is gone. PDFs and
+  // legacy uploads have no thumbnail, so the original is returned instead.
+  async function read(key, { thumbnail = false } = {}) {
+    if (isLegacy(key)) {
+      const fileName = path.basename(key);
+      try {
+        const body = await fs.promises.readFile(path.join(LEGACY_UPLOAD_DIR, fileName));
+        const contentType = LEGACY_CONTENT_TYPES[path.extname(fileName).toLowerCase()] || 'application/octet-stream';
+        return { body, contentType };
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    }
+
+    if (thumbnail && key.endsWith('.jpg')) {
+      const preview = await storage.get(thumbnailKey(key));
+      if (preview) return preview;
+    }
+    return storage.get(key);
+  }
+
+  // Delete a stored proof, e.g. when the booking it came with was not created
+  async function remove(key) {
+    if (isLegacy(key)) return;
+    await Promise.all([
+      storage.delete(key),
+      key.endsWith('.jpg') ? storage.delete(thumbnailKey(key)) : null
+    ]);
+  }
+
+  return { save, read, remove };
+}
+
+module.exports = { createPaymentProofs, detectContentType, reencodeImage };
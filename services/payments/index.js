@@ -0,0 +1,28 @@
+const { createRazorpayProvider } = require('./razorpay');
+const createMockProvider = require('./mock');
+
+// Pick the payment provider from PAYMENT_PROVIDER. Without one, Razorpay is used
+// when its keys are configured and the offline mock otherwise. Production never
+// falls back to the mock: its webhooks would let anyone mark a booking paid.
+function createPaymentProvider(env = process.env) {
+  const providerName = env.PAYMENT_PROVIDER || (env.RAZORPAY_KEY_ID ? 'razorpay' : 'mock');
+
+  if (providerName === 'mock' && env.NODE_ENV === 'production') {
+    throw new Error('The mock payment provider cannot be used in production; configure RAZORPAY_KEY_ID, RAZORPAY_KEY_SECRET and RAZORPAY_WEBHOOK_SECRET');
+  }
+
+  switch (providerName) {
+    case 'razorpay':
+      return createRazorpayProvider({
+        keyId: env.RAZORPAY_KEY_ID,
+        keySecret: env.RAZORPAY_KEY_SECRET,
+        webhookSecret: env.RAZORPAY_WEBHOOK_SECRET
+      });
+    case 'mock':
+      return createMockProvider({ webhookSecret: env.PAYMENT_WEBHOOK_SECRET });
+    default:
+      throw new Error(`Unknown payment provider: ${providerName}`);
+  }
+}
+
+module.exports = { createPaymentProvider };
@@ -0,0 +1,59 @@
+const crypto = require('crypto');
+const { verifySignature, parseWebhook } = require('./razorpay');
+
+// Offline stand-in for the payment gateway. It speaks the same webhook format as
+// Razorpay so the webhook route is exercised end to end, and can build signed
+// webhook payloads to simulate a guest completing or failing a payment. Without
+// a configured secret each instance makes up its own, so only webhooks it built
+// itself verify.
+function createMockProvider({ webhookSecret = crypto.randomBytes(32).toString('hex') } = {}) {
+  const sign = (rawBody) => crypto.createHmac('sha256', webhookSecret).update(rawBody).digest('hex');
+  const randomId = (prefix) => `${prefix}_mock_${crypto.randomBytes(7).toString('hex')}`;
+
+  return {
+    name: 'mock',
+    signatureHeader: 'x-razorpay-signature',
+
+    async createOrder({ amount, currency = 'INR' }) {
+      const orderId = randomId('order');
+      return {
+        orderId,
+        amount,
+        currency,
+        checkout: { keyId: 'mock', orderId, amount: Math.round(amount * 100), currency }
+      };
+    },
+
+    verifyWebhook(rawBody, signature) {
+      return verifySignature(rawBody, signature, webhookSecret);
+    },
+
+    parseWebhook,
+
+    async refund({ amount }) {
+      return { refundId: randomId('rfnd'), amount, status: 'processed' };
+    },
+
+    // Build a signed webhook request for an order, as the gateway would send it
+    simulateWebhook({ orderId, amount, outcome }) {
+      const payment = {
+        id: randomId('pay'),
+        order_id: orderId,
+        amount: Math.round(amount * 100),
+        status: outcome === 'captured' ? 'captured' : 'failed'
+      };
+      if (outcome !== 'captured') {
+        payment.error_description = 'Payment declined by mock provider';
+      }
+
+      const rawBody = Buffer.from(JSON.stringify({
+        event: outcome === 'captured' ? 'payment.captured' : 'payment.failed',
+        payload: { payment: { entity: payment } }
+      }));
+
+      return { rawBody, signature: sign(rawBody) };
+    }
+  };
+}
+
+module.exports = createMockProvider;
@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+
+const API_BASE = 'https://api.razorpay.com/v1';
+
+// Razorpay works in the smallest currency unit (paise); the rest of the app uses rupees
+const toSubunits = (amount) => Math.round(amount * 100);
+const fromSubunits = (amount) => amount / 100;
+
+// Webhooks are signed with an HMAC-SHA256 of the raw request body
+function verifySignature(rawBody, signature, secret) {
+  if (!rawBody || !signature) return false;
+
+  const expected = Buffer.from(crypto.createHmac('sha256', secret).update(rawBody).digest('hex'));
+  const received = Buffer.from(String(signature));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+// Normalise a webhook payload into { type, orderId, paymentId, refundId, amount }
+function parseWebhook(body) {
+  const payment = body.payload && body.payload.payment && body.payload.payment.entity;
+  const refund = body.payload && body.payload.refund && body.payload.refund.entity;
+
+  switch (body.event) {
+    case 'payment.captured':
+    case 'order.paid':
+      return { type: 'captured', orderId: payment.order_id, paymentId: payment.id, amount: fromSubunits(payment.amount) };
+    case 'payment.failed':
+      return {
+        type: 'failed',
+        orderId: payment.order_id,
+        paymentId: payment.id,
+        amount: fromSubunits(payment.amount),
+        reason: payment.error_description
+      };
+    case 'refund.processed':
+      return { type: 'refunded', paymentId: refund.payment_id, refundId: refund.id, amount: fromSubunits(refund.amount) };
+    case 'refund.failed':
+      return { type: 'refund_failed', paymentId: refund.payment_id, refundId: refund.id, amount: fromSubunits(refund.amount) };
+    default:
+      return { type: 'ignored' };
+  }
+}
+
+function createRazorpayProvider({ keyId, keySecret, webhookSecret }) {
+  if (!keyId || !keySecret || !webhookSecret) {
+    throw new Error('Razorpay requires RAZORPAY_KEY_ID, RAZORPAY_KEY_SECRET and RAZORPAY_WEBHOOK_SECRET');
+  }
+
+  const authHeader = `Basic ${Buffer.from(`${keyId}:${keySecret}`).toString('base64')}`;
+
+  async function request(method, path, body) {
+    const response = await fetch(`${API_BASE}${path}`, {
+      method,
+      headers: {
+        Authorization: authHeader,
+        'Content-Type': 'application/json'
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const description = data.error && data.error.description;
+      throw new Error(`Razorpay ${method} ${path} failed: ${description || response.status}`);
+    }
+    return data;
+  }
+
+  return {
+    name: 'razorpay',
+    signatureHeader: 'x-razorpay-signature',
+
+    async createOrder({ amount, currency = 'INR', receipt, notes }) {
+      const order = await request('POST', '/orders', {
+        amount: toSubunits(amount),
+        currency,
+        receipt,
+        notes
+      });
+
+      return {
+        orderId: order.id,
+        amount: fromSubunits(order.amount),
+        currency: order.currency,
+        // Public values the checkout widget needs
+        checkout: { keyId, orderId: order.id, amount: order.amount, currency: order.currency }
+      };
+    },
+
+    verifyWebhook(rawBody, signature) {
+      return verifySignature(rawBody, signature, webhookSecret);
+    },
+
+    parseWebhook,
+
+    async refund({ paymentId, amount, notes }) {
+      const refund = await request('POST', `/payments/${paymentId}/refund`, {
+        amount: toSubunits(amount),
+        notes
+      });
+
+      return {
+        refundId: refund.id,
+        amount: fromSubunits(refund.amount),
+        status: refund.status === 'processed' ? 'processed' : 'pending'
+      };
+    }
+  };
+}
+
+module.exports = { createRazorpayProvider, verifySignature, parseWebhook };
@@ -0,0 +1,86 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const dayKey = (date) => date.toISOString().slice(0, 10);
+
+// Stay dates are calendar days, stored as UTC midnight
+function startOfUTCDay(date) {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+}
+
+// Nights are calendar days in UTC, matching how stay dates are stored
+function nightsBetween(checkInDate, checkOutDate) {
+  const first = new Date(checkInDate);
+  first.setUTCHours(0, 0, 0, 0);
+  const count = Math.ceil((checkOutDate - checkInDate) / DAY_MS);
+  return Array.from({ length: count }, (_, index) => new Date(first.getTime() + index * DAY_MS));
+}
+
+function ruleMatchesRoom(rule, room) {
+  return (!rule.roomCategory || rule.roomCategory === room.roomCategory) &&
+    (!rule.roomType || rule.roomType === room.type);
+}
+
+function ruleMatchesNight(rule, night) {
+  const key = dayKey(night);
+  if (rule.startDate && key < dayKey(rule.startDate)) return false;
+  if (rule.endDate && key > dayKey(rule.endDate)) return false;
+  if (rule.daysOfWeek && rule.daysOfWeek.length > 0 && !rule.daysOfWeek.includes(night.getUTCDay())) return false;
+  return true;
+}
+
+function applyAdjustment(price, rule) {
+  switch (rule.adjustmentType) {
+    case 'override':
+      return rule.value;
+    case 'fixed':
+      return price + rule.value;
+    case 'percentage':
+    default:
+      return price * (1 + rule.value / 100);
+  }
+}
+
+// Quote a room for a stay: the price of each night after applying matching
+// rules, the total, and the longest minimum stay any matching rule demands.
+// `keepRates` maps night keys (YYYY-MM-DD) to prices that must not change.
+function quoteRoom(room, checkInDate, checkOutDate, rules, keepRates = {}) {
+  const roomRules = rules
+    .filter(rule => ruleMatchesRoom(rule, room))
+    .sort((a, b) => (a.priority || 0) - (b.priority || 0));
+
+  let minNights = 1;
+  const nights = nightsBetween(checkInDate, checkOutDate).map(night => {
+    const key = dayKey(night);
+    const nightRules = roomRules.filter(rule => ruleMatchesNight(rule, night));
+
+    for (const rule of nightRules) {
+      if (rule.minNights) minNights = Math.max(minNights, rule.minNights);
+    }
+
+    if (keepRates[key] !== undefined) {
+      return { date: night, price: keepRates[key], rules: [] };
+    }
+
+    const adjusted = nightRules.reduce(applyAdjustment, room.price);
+    return {
+      date: night,
+      price: Math.max(0, Math.round(adjusted)),
+      rules: nightRules.filter(rule => rule.adjustmentType === 'override' || rule.value).map(rule => rule.name)
+    };
+  });
+
+  const total = nights.reduce((sum, night) => sum + night.price, 0);
+
+  return {
+    roomNumber: room.roomNumber,
+    basePrice: room.price,
+    nights,
+    total,
+    averageNightlyRate: nights.length > 0 ? Math.round(total / nights.length) : room.price,
+    minNights
+  };
+}
+
+module.exports = { DAY_MS, quoteRoom, nightsBetween, dayKey, startOfUTCDay };
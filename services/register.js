@@ -0,0 +1,168 @@
+const { escapeHtml } = require('./templates');
+
+const ID_DOCUMENT_LABELS = {
+  aadhaar: 'Aadhaar',
+  passport: 'Passport',
+  driving_licence: 'Driving Licence',
+  voter_id: 'Voter ID',
+  pan: 'PAN',
+  other: 'Other'
+};
+
+// Stay dates are UTC calendar days; arrival and departure times are shown in the hotel's zone
+const formatDay = (date) => new Date(date).toLocaleDateString('en-IN', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric',
+  timeZone: 'UTC'
+});
+
+const formatDateTime = (date, timeZone) => new Date(date).toLocaleString('en-IN', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit',
+  timeZone
+});
+
+// One register line per guest of the given checked-in bookings
+function buildGuestRegister(bookings, { date, hotel = {}, timeZone = 'Asia/Kolkata' }) {
+  let serial = 0;
+
+  const entries = bookings.flatMap(booking => booking.guests.map(guest => ({
+    serial: ++serial,
+    bookingId: String(booking._id),
+    rooms: booking.selectedRooms.map(room => room.roomNumber).join(', '),
+    name: guest.name,
+    age: guest.age == null ? '' : guest.age,
+    gender: guest.gender || '',
+    nationality: guest.nationality || '',
+    idType: ID_DOCUMENT_LABELS[guest.idType] || guest.idType,
+    idNumber: guest.idNumber,
+    address: booking.customerAddress || '',
+    phone: booking.customerPhone,
+    adults: booking.adults,
+    children: booking.children,
+    comingFrom: booking.comingFrom || '',
+    goingTo: booking.goingTo || '',
+    purposeOfVisit: booking.purposeOfVisit || '',
+    arrivedAt: formatDateTime(booking.checkedInAt, timeZone),
+    expectedDeparture: formatDay(booking.checkOutDate),
+    departedAt: booking.checkedOutAt ? formatDateTime(booking.checkedOutAt, timeZone) : ''
+  })));
+
+  return {
+    date: formatDay(date),
+    hotel,
+    entries,
+    totals: {
+      bookings: bookings.length,
+      guests: entries.length,
+      adults: bookings.reduce((sum, booking) => sum + (booking.adults || 0), 0),
+      children: bookings.reduce((sum, booking) => sum + (booking.children || 0), 0)
+    }
+  };
+}
+
+const CSV_COLUMNS = [
+  ['serial', 'S.No'],
+  ['name', 'Guest Name'],
+  ['age', 'Age'],
+  ['gender', 'Gender'],
+  ['nationality', 'Nationality'],
+  ['idType', 'ID Type'],
+  ['idNumber', 'ID Number'],
+  ['address', 'Address'],
+  ['phone', 'Phone'],
+  ['rooms', 'Rooms'],
+  ['adults', 'Adults'],
+  ['children', 'Children'],
+  ['comingFrom', 'Coming From'],
+  ['goingTo', 'Going To'],
+  ['purposeOfVisit', 'Purpose of Visit'],
+  ['arrivedAt', 'Arrival'],
+  ['expectedDeparture', 'Expected Departure'],
+  ['departedAt', 'Departure'],
+  ['bookingId', 'Booking ID']
+];
+
+// Quote every cell, and stop spreadsheet apps from evaluating guest-entered text as formulas
+function csvCell(value) {
+  const text = String(value == null ? '' : value);
+  const safe = /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+  return `"${safe.replace(/"/g, '""')}"`;
+}
+
+function renderRegisterCsv(register) {
+  const lines = [
+    CSV_COLUMNS.map(([, label]) => csvCell(label)).join(','),
+    ...register.entries.map(entry => CSV_COLUMNS.map(([key]) => csvCell(entry[key])).join(','))
+  ];
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+// Printable register; landscape A4 fits every column
+function renderRegisterHtml(register) {
+  const cell = 'padding: 4px 6px; border: 1px solid #999; vertical-align: top;';
+
+  const rows = register.entries.map(entry => `
+      <tr>
+        <td style="${cell}">${entry.serial}</td>
+        <td style="${cell}">${escapeHtml(entry.name)}<br><small>${escapeHtml(entry.gender)}${entry.age !== '' ? `, ${escapeHtml(entry.age)}` : ''}</small></td>
+        <td style="${cell}">${escapeHtml(entry.nationality)}</td>
+        <td style="${cell}">${escapeHtml(entry.idType)}<br>${escapeHtml(entry.idNumber)}</td>
+        <td style="${cell}">${escapeHtml(entry.address)}<br>${escapeHtml(entry.phone)}</td>
+        <td style="${cell}">${escapeHtml(entry.rooms)}</td>
+        <td style="${cell}">${escapeHtml(entry.adults)} / ${escapeHtml(entry.children)}</td>
+        <td style="${cell}">${escapeHtml(entry.comingFrom)}</td>
+        <td style="${cell}">${escapeHtml(entry.goingTo)}</td>
+        <td style="${cell}">${escapeHtml(entry.purposeOfVisit)}</td>
+        <td style="${cell}">${escapeHtml(entry.arrivedAt)}</td>
+        <td style="${cell}">${escapeHtml(entry.departedAt || `Exp. ${entry.expectedDeparture}`)}</td>
+        <td style="${cell}"></td>
+      </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Guest Register ${escapeHtml(register.date)}</title>
+  <style>@page { size: A4 landscape; margin: 10mm; }</style>
+</head>
+<body style="font-family: Arial, sans-serif; font-size: 12px; color: #000;">
+  <h1 style="margin: 0; font-size: 18px;">Guest Register</h1>
+  <p style="margin: 4px 0 12px;">
+    <strong>${escapeHtml(register.hotel.name)}</strong>, ${escapeHtml(register.hotel.address)}<br>
+    Date: ${escapeHtml(register.date)} &middot;
+    ${register.totals.guests} guests in ${register.totals.bookings} bookings
+    (${register.totals.adults} adults, ${register.totals.children} children)
+  </p>
+
+  <table style="width: 100%; border-collapse: collapse;">
+    <thead>
+      <tr>
+        <th style="${cell}">S.No</th>
+        <th style="${cell}">Guest</th>
+        <th style="${cell}">Nationality</th>
+        <th style="${cell}">ID Document</th>
+        <th style="${cell}">Address / Phone</th>
+        <th style="${cell}">Rooms</th>
+        <th style="${cell}">Adults / Children</th>
+        <th style="${cell}">Coming From</th>
+        <th style="${cell}">Going To</th>
+        <th style="${cell}">Purpose</th>
+        <th style="${cell}">Arrival</th>
+        <th style="${cell}">Departure</th>
+        <th style="${cell}">Signature</th>
+      </tr>
+    </thead>
+    <tbody>${rows || `
+      <tr><td style="${cell}" colspan="13">No guests in residence</td></tr>`}
+    </tbody>
+  </table>
+</body>
+</html>`;
+}
+
+module.exports = { ID_DOCUMENT_LABELS, buildGuestRegister, renderRegisterCsv, renderRegisterHtml };
@@ -0,0 +1,148 @@
+const { DAY_MS, nightsBetween, dayKey } = require('./pricing');
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Dimensions a report can be grouped by. Each maps one sold room night to its
+// group key; `roomBased` groupings also know how many room nights were available.
+const REPORT_GROUPINGS = {
+  day: { key: night => dayKey(night.date), timeBased: true },
+  month: { key: night => dayKey(night.date).slice(0, 7), timeBased: true },
+  category: { key: night => night.roomCategory, roomBased: room => room.roomCategory },
+  type: { key: night => night.roomType, roomBased: room => room.type },
+  categoryType: {
+    key: night => `${night.roomCategory} ${night.roomType}`,
+    roomBased: room => `${room.roomCategory} ${room.type}`
+  },
+  room: { key: night => night.roomNumber, roomBased: room => room.roomNumber },
+  paymentMethod: { key: night => night.paymentMethod || 'unknown' }
+};
+
+// Split bookings into one entry per room per night inside [from, to), so stays
+// that cross a month (or range) boundary count towards each side correctly
+function splitRoomNights(bookings, roomsByNumber, from, to) {
+  const fromKey = dayKey(from);
+  const toKey = dayKey(to);
+
+  return bookings.flatMap(booking => booking.selectedRooms.flatMap(selected => {
+    const room = roomsByNumber.get(selected.roomNumber);
+    const rates = selected.nightlyRates && selected.nightlyRates.length > 0
+      ? selected.nightlyRates
+      : nightsBetween(booking.checkInDate, booking.checkOutDate).map(date => ({ date, price: selected.price }));
+
+    return rates
+      .filter(rate => dayKey(rate.date) >= fromKey && dayKey(rate.date) < toKey)
+      .map(rate => ({
+        date: new Date(rate.date),
+        price: rate.price,
+        roomNumber: selected.roomNumber,
+        roomCategory: room ? room.roomCategory : booking.roomCategory,
+        roomType: room ? room.type : booking.roomType,
+        paymentMethod: booking.paymentMethod,
+        bookingId: String(booking._id),
+        leadTimeDays: Math.max(0, Math.floor((booking.checkInDate - (booking.bookingDate || booking.createdAt)) / DAY_MS))
+      }));
+  }));
+}
+
+// Room nights on offer per group. A retired room stops counting from the day it was retired.
+function availableRoomNights(rooms, from, to, groupKey) {
+  const totals = new Map();
+  const nights = nightsBetween(from, to);
+
+  for (const room of rooms) {
+    const retiredKey = room.isRetired && room.retiredAt ? dayKey(room.retiredAt) : null;
+
+    for (const night of nights) {
+      if (retiredKey && dayKey(night) >= retiredKey) continue;
+
+      const group = groupKey ? groupKey(room, night) : 'total';
+      totals.set(group, (totals.get(group) || 0) + 1);
+    }
+  }
+  return totals;
+}
+
+function summarise(key, nights, available) {
+  const revenue = round2(nights.reduce((sum, night) => sum + night.price, 0));
+  const revenueBy = (method) => round2(nights
+    .filter(night => night.paymentMethod === method)
+    .reduce((sum, night) => sum + night.price, 0));
+
+  // Lead time counts each booking once, however many nights it has in the group
+  const leadTimes = new Map(nights.map(night => [night.bookingId, night.leadTimeDays]));
+  const totalLeadTime = [...leadTimes.values()].reduce((sum, days) => sum + days, 0);
+
+  return {
+    key,
+    bookings: leadTimes.size,
+    roomNightsSold: nights.length,
+    roomNightsAvailable: available === undefined ? null : available,
+    occupancyRate: available ? round2((nights.length / available) * 100) : null,
+    revenue,
+    cashRevenue: revenueBy('cash'),
+    onlineRevenue: revenueBy('online'),
+    averageDailyRate: nights.length > 0 ? round2(revenue / nights.length) : 0,
+    revPar: available ? round2(revenue / available) : null,
+    averageLeadTimeDays: leadTimes.size > 0 ? round2(totalLeadTime / leadTimes.size) : null
+  };
+}
+
+// Occupancy, revenue, ADR, payment split and lead time for [from, to), grouped
+// by one of REPORT_GROUPINGS. Revenue is the booked (GST-inclusive) room tariff
+// per night, not money collected.
+function buildReport({ bookings, rooms, from, to, groupBy = 'month' }) {
+  const grouping = REPORT_GROUPINGS[groupBy];
+  const roomsByNumber = new Map(rooms.map(room => [room.roomNumber, room]));
+  const nights = splitRoomNights(bookings, roomsByNumber, from, to);
+
+  const groups = new Map();
+  for (const night of nights) {
+    const key = grouping.key(night);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(night);
+  }
+
+  let available = null;
+  if (grouping.timeBased) {
+    available = availableRoomNights(rooms, from, to, (room, night) => grouping.key({ date: night }));
+  } else if (grouping.roomBased) {
+    available = availableRoomNights(rooms, from, to, grouping.roomBased);
+  }
+
+  // Groups with inventory but no sales still get a row
+  if (available) {
+    for (const key of available.keys()) {
+      if (!groups.has(key)) groups.set(key, []);
+    }
+  }
+
+  const rows = [...groups.keys()]
+    .sort()
+    .map(key => summarise(key, groups.get(key), available ? available.get(key) || 0 : undefined));
+
+  const totalAvailable = availableRoomNights(rooms, from, to).get('total') || 0;
+
+  return {
+    from: dayKey(from),
+    to: dayKey(to),
+    groupBy,
+    rows,
+    totals: summarise('total', nights, totalAvailable)
+  };
+}
+
+const CSV_COLUMNS = [
+  'key', 'bookings', 'roomNightsSold', 'roomNightsAvailable', 'occupancyRate', 'revenue',
+  'cashRevenue', 'onlineRevenue', 'averageDailyRate', 'revPar', 'averageLeadTimeDays'
+];
+
+function renderReportCsv(report) {
+  const cell = (value) => (value == null ? '' : `"${String(value).replace(/"/g, '""')}"`);
+  const lines = [
+    [report.groupBy, ...CSV_COLUMNS.slice(1)].map(cell).join(','),
+    ...[...report.rows, report.totals].map(row => CSV_COLUMNS.map(column => cell(row[column])).join(','))
+  ];
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = { REPORT_GROUPINGS, buildReport, renderReportCsv };
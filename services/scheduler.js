@@ -0,0 +1,93 @@
+const JobRun = require('../models/JobRun');
+
+const DEFAULT_LOCK_MS = 10 * 60 * 1000;
+// Ticks and cron calls drift by a few seconds; without some slack a job due
+// every minute would only run every other minute
+const DUE_SLACK_MS = 5 * 1000;
+
+// Run named jobs with a history of runs and a lock per job, so the same job
+// never overlaps itself across server instances or serverless invocations.
+// Each job is `{ name, description, intervalMs, enabled, run }`.
+function createScheduler({ jobs }) {
+  const jobsByName = new Map(jobs.map(job => [job.name, job]));
+
+  async function acquire(job, trigger) {
+    const now = new Date();
+
+    // A run whose lock expired died part-way (crash, serverless timeout)
+    await JobRun.updateMany(
+      { job: job.name, status: 'running', lockedUntil: { $lte: now } },
+      { $set: { status: 'failed', finishedAt: now, error: 'Run did not finish before its lock expired' } }
+    );
+
+    try {
+      return await JobRun.create({
+        job: job.name,
+        trigger,
+        startedAt: now,
+        lockedUntil: new Date(now.getTime() + (job.lockMs || DEFAULT_LOCK_MS))
+      });
+    } catch (error) {
+      // Another run holds the lock
+      if (error.code === 11000) return null;
+      throw error;
+    }
+  }
+
+  // Run one job now. Resolves to the finished run, or null if it was already running.
+  async function runJob(name, { trigger = 'manual' } = {}) {
+    const job = jobsByName.get(name);
+    if (!job) throw new Error(`Unknown job: ${name}`);
+
+    const run = await acquire(job, trigger);
+    if (!run) return null;
+
+    try {
+      run.result = await job.run();
+      run.status = 'succeeded';
+    } catch (error) {
+      console.error(`Job ${name} failed:`, error);
+      run.status = 'failed';
+      run.error = error.message;
+    }
+
+    run.finishedAt = new Date();
+    run.lockedUntil = undefined;
+    await run.save();
+    return run;
+  }
+
+  async function isDue(job, now) {
+    const lastRun = await JobRun.findOne({ job: job.name }).sort({ startedAt: -1 });
+    return !lastRun || now - lastRun.startedAt >= job.intervalMs - DUE_SLACK_MS;
+  }
+
+  // Run every enabled job whose interval has passed, one after another
+  async function runDueJobs({ trigger = 'interval' } = {}) {
+    const now = new Date();
+    const runs = [];
+
+    for (const job of jobs) {
+      if (!job.enabled || !(await isDue(job, now))) continue;
+      const run = await runJob(job.name, { trigger });
+      if (run) runs.push(run);
+    }
+    return runs;
+  }
+
+  // Check for due jobs every `tickMs` in a long-running process
+  function start(tickMs) {
+    const timer = setInterval(() => {
+      runDueJobs().catch(error => console.error('Error running scheduled jobs:', error));
+    }, tickMs);
+    return () => clearInterval(timer);
+  }
+
+  function listJobs() {
+    return jobs.map(({ name, description, intervalMs, enabled }) => ({ name, description, intervalMs, enabled }));
+  }
+
+  return { runJob, runDueJobs, start, listJobs, hasJob: (name) => jobsByName.has(name) };
+}
+
+module.exports = { createScheduler };
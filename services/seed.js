@@ -0,0 +1,46 @@
+const Admin = require('../models/Admin');
+const Room = require('../models/Room');
+
+// Seed rooms from data/rooms.json when the collection is empty
+async function initializeRooms() {
+  try {
+    const roomCount = await Room.estimatedDocumentCount();
+
+    if (roomCount === 0) {
+      const rooms = require('../data/rooms.json');
+      const { inserted } = await Room.seed(rooms);
+      console.log(`Successfully initialized ${inserted} rooms from seed file`);
+    }
+
+    // Occupancy is now derived from bookings; drop the legacy stored flag
+    await Room.updateMany(
+      { isAvailable: { $exists: true } },
+      { $unset: { isAvailable: '' } },
+      { strict: false }
+    );
+  } catch (error) {
+    console.error('Error initializing rooms:', error);
+  }
+}
+
+// Create the first owner account from environment variables if no admin exists
+async function initializeAdmin() {
+  try {
+    const adminCount = await Admin.estimatedDocumentCount();
+    const { ADMIN_USERNAME, ADMIN_PASSWORD, ADMIN_PHONE } = process.env;
+
+    if (adminCount === 0 && ADMIN_USERNAME && ADMIN_PASSWORD && ADMIN_PHONE) {
+      await Admin.create({
+        username: ADMIN_USERNAME,
+        password: ADMIN_PASSWORD,
+        phone: ADMIN_PHONE,
+        role: 'owner'
+      });
+      console.log(`Created initial owner account: ${ADMIN_USERNAME}`);
+    }
+  } catch (error) {
+    console.error('Error initializing admin account:', error);
+  }
+}
+
+module.exports = { initializeRooms, initializeAdmin };
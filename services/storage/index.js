@@ -0,0 +1,29 @@
+const path = require('path');
+const createLocalStorage = require('./local');
+const createS3Storage = require('./s3');
+const createMemoryStorage = require('./memory');
+
+// Pick where uploaded files are kept from FILE_STORAGE. Without one, S3 is used
+// when a bucket is configured and the local disk otherwise.
+function createFileStorage(env = process.env) {
+  const storageName = env.FILE_STORAGE || (env.S3_BUCKET ? 's3' : 'local');
+
+  switch (storageName) {
+    case 'local':
+      return createLocalStorage({ root: env.FILE_STORAGE_DIR || path.join(__dirname, '../../storage/files') });
+    case 's3':
+      return createS3Storage({
+        bucket: env.S3_BUCKET,
+        region: env.S3_REGION,
+        endpoint: env.S3_ENDPOINT,
+        accessKeyId: env.S3_ACCESS_KEY_ID,
+        secretAccessKey: env.S3_SECRET_ACCESS_KEY
+      });
+    case 'memory':
+      return createMemoryStorage();
+    default:
+      throw new Error(`Unknown file storage: ${storageName}`);
+  }
+}
+
+module.exports = { createFileStorage };
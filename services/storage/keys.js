@@ -0,0 +1,9 @@
+// Storage keys are generated by the server; anything else is refused so a key
+// can never point outside the storage root
+function assertValidKey(key) {
+  if (typeof key !== 'string' || !/^[a-z0-9][a-z0-9-]*(\/[a-z0-9][a-z0-9.-]*)*$/i.test(key) || key.includes('..')) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+}
+
+module.exports = { assertValidKey };
@@ -0,0 +1,48 @@
+const fs = require('fs');
+const path = require('path');
+const { assertValidKey } = require('./keys');
+
+// Files on the server's own disk, outside anything served publicly. Content types
+// are kept in a sidecar file next to each object.
+function createLocalStorage({ root }) {
+  const filePath = (key) => {
+    assertValidKey(key);
+    return path.join(root, key);
+  };
+
+  return {
+    name: 'local',
+
+    async put(key, body, { contentType }) {
+      const target = filePath(key);
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      await fs.promises.writeFile(target, body);
+      await fs.promises.writeFile(`${target}.meta.json`, JSON.stringify({ contentType }));
+    },
+
+    // Resolves to { body, contentType }, or null when there is no such file
+    async get(key) {
+      const target = filePath(key);
+      try {
+        const [body, meta] = await Promise.all([
+          fs.promises.readFile(target),
+          fs.promises.readFile(`${target}.meta.json`, 'utf8')
+        ]);
+        return { body, contentType: JSON.parse(meta).contentType };
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    async delete(key) {
+      const target = filePath(key);
+      await Promise.all([
+        fs.promises.rm(target, { force: true }),
+        fs.promises.rm(`${target}.meta.json`, { force: true })
+      ]);
+    }
+  };
+}
+
+module.exports = createLocalStorage;
@@ -0,0 +1,29 @@
+const { assertValidKey } = require('./keys');
+
+// Stand-in for S3 that keeps files in memory, for tests and local setups
+function createMemoryStorage() {
+  const objects = new Map();
+
+  return {
+    name: 'memory',
+    objects,
+
+    async put(key, body, { contentType }) {
+      assertValidKey(key);
+      objects.set(key, { body: Buffer.from(body), contentType });
+    },
+
+    // Resolves to { body, contentType }, or null when there is no such file
+    async get(key) {
+      assertValidKey(key);
+      return objects.get(key) || null;
+    },
+
+    async delete(key) {
+      assertValidKey(key);
+      objects.delete(key);
+    }
+  };
+}
+
+module.exports = createMemoryStorage;
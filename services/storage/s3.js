@@ -0,0 +1,46 @@
+const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+const { assertValidKey } = require('./keys');
+
+// Amazon S3 or any S3-compatible service (Cloudflare R2, MinIO, ...) via `endpoint`.
+// Objects are private; the API serves them to admins itself.
+function createS3Storage({ bucket, region, endpoint, accessKeyId, secretAccessKey }) {
+  if (!bucket) {
+    throw new Error('S3 file storage requires S3_BUCKET');
+  }
+
+  const client = new S3Client({
+    region: region || 'auto',
+    endpoint: endpoint || undefined,
+    // Most S3-compatible services only support path-style bucket addressing
+    forcePathStyle: Boolean(endpoint),
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+  });
+
+  return {
+    name: 's3',
+
+    async put(key, body, { contentType }) {
+      assertValidKey(key);
+      await client.send(new PutObjectCommand({ Bucket: bucket, Key: key, Body: body, ContentType: contentType }));
+    },
+
+    // Resolves to { body, contentType }, or null when there is no such object
+    async get(key) {
+      assertValidKey(key);
+      try {
+        const object = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+        return { body: Buffer.from(await object.Body.transformToByteArray()), contentType: object.ContentType };
+      } catch (error) {
+        if (error.name === 'NoSuchKey') return null;
+        throw error;
+      }
+    },
+
+    async delete(key) {
+      assertValidKey(key);
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    }
+  };
+}
+
+module.exports = createS3Storage;
@@ -0,0 +1,163 @@
+const fs = require('fs');
+const path = require('path');
+
+const TEMPLATE_DIR = path.join(__dirname, '../templates');
+const DEFAULT_LANGUAGE = 'en';
+
+// A small Mustache-style renderer:
+//   {{name}}            HTML-escaped value (dotted paths allowed)
+//   {{{name}}}          raw value
+//   {{#name}}..{{/name}} section: repeated for arrays, shown once for truthy values
+//   {{^name}}..{{/name}} inverted section: shown when the value is falsy or empty
+//   {{> name}}          partial, loaded from partials/<name>.<language>.<ext>
+const TAG = /\{\{(\{?)\s*([#^/>]?)\s*([\w.-]+)\s*\}?\}\}/g;
+
+const escapeHtml = (value) => String(value == null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const cache = new Map();
+
+function readTemplate(file) {
+  if (!cache.has(file)) {
+    cache.set(file, fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null);
+  }
+  return cache.get(file);
+}
+
+// Find `<dir>/<name>.<language>.<ext>`, falling back to the default language
+function loadTemplate(dir, name, language, ext) {
+  const localized = readTemplate(path.join(TEMPLATE_DIR, dir, `${name}.${language}.${ext}`));
+  if (localized !== null) return localized;
+
+  const fallback = readTemplate(path.join(TEMPLATE_DIR, dir, `${name}.${DEFAULT_LANGUAGE}.${ext}`));
+  if (fallback === null) {
+    throw new Error(`Template not found: ${dir}/${name}.${DEFAULT_LANGUAGE}.${ext}`);
+  }
+  return fallback;
+}
+
+// Resolve a dotted path against a stack of contexts, innermost first
+function lookup(stack, name) {
+  if (name === '.') return stack[0];
+
+  const [head, ...rest] = name.split('.');
+  const context = stack.find(ctx => ctx !== null && typeof ctx === 'object' && head in ctx);
+  if (!context) return undefined;
+
+  return rest.reduce((value, key) => (value == null ? undefined : value[key]), context[head]);
+}
+
+// Parse template text into a tree of text, variable, section and partial nodes
+function parse(template) {
+  const root = { children: [] };
+  const stack = [root];
+  let lastIndex = 0;
+  let match;
+
+  TAG.lastIndex = 0;
+  while ((match = TAG.exec(template)) !== null) {
+    const [tag, raw, type, name] = match;
+    const parent = stack[stack.length - 1];
+
+    if (match.index > lastIndex) {
+      parent.children.push({ type: 'text', value: template.slice(lastIndex, match.index) });
+    }
+    lastIndex = match.index + tag.length;
+
+    if (type === '#' || type === '^') {
+      const section = { type: type === '#' ? 'section' : 'inverted', name, children: [] };
+      parent.children.push(section);
+      stack.push(section);
+    } else if (type === '/') {
+      if (stack.length === 1 || parent.name !== name) {
+        throw new Error(`Unexpected closing tag {{/${name}}}`);
+      }
+      stack.pop();
+    } else if (type === '>') {
+      parent.children.push({ type: 'partial', name });
+    } else {
+      parent.children.push({ type: 'variable', name, raw: raw === '{' });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Unclosed section {{#${stack[stack.length - 1].name}}}`);
+  }
+  if (lastIndex < template.length) {
+    root.children.push({ type: 'text', value: template.slice(lastIndex) });
+  }
+  return root;
+}
+
+function renderNodes(nodes, stack, options) {
+  return nodes.map(node => {
+    switch (node.type) {
+      case 'text':
+        return node.value;
+      case 'variable': {
+        const value = lookup(stack, node.name);
+        return node.raw || !options.escape ? String(value == null ? '' : value) : escapeHtml(value);
+      }
+      case 'section': {
+        const value = lookup(stack, node.name);
+        if (Array.isArray(value)) {
+          return value.map(item => renderNodes(node.children, [item, ...stack], options)).join('');
+        }
+        if (!value) return '';
+        const context = typeof value === 'object' ? [value, ...stack] : stack;
+        return renderNodes(node.children, context, options);
+      }
+      case 'inverted': {
+        const value = lookup(stack, node.name);
+        const empty = !value || (Array.isArray(value) && value.length === 0);
+        return empty ? renderNodes(node.children, stack, options) : '';
+      }
+      case 'partial': {
+        const partial = loadTemplate(path.join(options.dir, 'partials'), node.name, options.language, options.ext);
+        return renderNodes(parse(partial).children, stack, options);
+      }
+      default:
+        return '';
+    }
+  }).join('');
+}
+
+function renderString(template, data, options) {
+  return renderNodes(parse(template).children, [data], options);
+}
+
+// Split an optional "Subject: ..." first line off a template
+function splitSubject(template) {
+  const match = /^Subject:\s*(.*)\r?\n\r?\n?/.exec(template);
+  return match
+    ? { subject: match[1], body: template.slice(match[0].length) }
+    : { subject: '', body: template };
+}
+
+// Render templates/email/<event>.<language>.html inside the shared layout.
+// Returns { subject, html }.
+function renderEmail(event, language, data) {
+  const options = { dir: 'email', language, ext: 'html', escape: true };
+  const { subject, body } = splitSubject(loadTemplate('email', event, language, 'html'));
+
+  const content = renderString(body, data, options);
+  const layout = loadTemplate('email', 'layout', language, 'html');
+
+  return {
+    // Subjects are plain text, so they are not HTML-escaped
+    subject: renderString(subject, data, { ...options, escape: false }).trim(),
+    html: renderString(layout, { ...data, content }, options)
+  };
+}
+
+// Render templates/sms/<event>.<language>.txt as plain text for SMS and WhatsApp
+function renderText(event, language, data) {
+  const options = { dir: 'sms', language, ext: 'txt', escape: false };
+  return renderString(loadTemplate('sms', event, language, 'txt'), data, options).trim();
+}
+
+module.exports = { renderEmail, renderText, renderString, escapeHtml, DEFAULT_LANGUAGE };
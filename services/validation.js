@@ -0,0 +1,243 @@
+const mongoose = require('mongoose');
+const { ApiError } = require('./errors');
+const { toE164 } = require('./messaging');
+
+// Small schema builders for request validation. Every schema has
+// `parse(value, field, errors)`, which returns the cleaned value and pushes
+// `{ field, code, message }` onto `errors` for anything wrong with it.
+// Query strings and multipart forms only carry text, so numbers, booleans and
+// dates are accepted as strings, and arrays and objects as JSON strings.
+
+const isMissing = (value) => value === undefined || value === null ||
+  (typeof value === 'string' && value.trim() === '');
+
+const fieldName = (parent, key) => {
+  if (!parent) return String(key);
+  return typeof key === 'number' ? `${parent}[${key}]` : `${parent}.${key}`;
+};
+
+function invalid(errors, field, code, message) {
+  errors.push({ field, code, message });
+  return undefined;
+}
+
+// Wrap a check(value, field, errors) for a present value with the shared
+// optional/default/refine handling
+function schema(check, flags = {}) {
+  return {
+    optional: () => schema(check, { ...flags, optional: true }),
+    default: (defaultValue) => schema(check, { ...flags, optional: true, defaultValue }),
+    // An explicit null is kept (to clear a stored value) instead of counting as missing
+    nullable: () => schema(check, { ...flags, optional: true, nullable: true }),
+    // `rule(value)` runs once the value itself is valid and returns
+    // `{ field, code, message }` (field relative to this value) or null
+    refine: (rule) => schema((value, field, errors) => {
+      const before = errors.length;
+      const parsed = check(value, field, errors);
+      if (errors.length === before) {
+        const problem = rule(parsed);
+        if (problem) {
+          errors.push({
+            field: problem.field ? fieldName(field, problem.field) : field,
+            code: problem.code,
+            message: problem.message
+          });
+        }
+      }
+      return parsed;
+    }, flags),
+    parse(value, field, errors) {
+      if (value === null && flags.nullable) return null;
+      if (isMissing(value)) {
+        if (flags.defaultValue !== undefined) return flags.defaultValue;
+        if (!flags.optional) invalid(errors, field, 'REQUIRED', `${field} is required`);
+        return undefined;
+      }
+      return check(value, field, errors);
+    }
+  };
+}
+
+// Trimmed unless `trim` is false (passwords)
+function string({ min = 1, max = 200, pattern, patternMessage, trim = true, uppercase = false } = {}) {
+  return schema((value, field, errors) => {
+    if (typeof value !== 'string' && typeof value !== 'number') {
+      return invalid(errors, field, 'INVALID_TYPE', `${field} must be text`);
+    }
+    let text = trim ? String(value).trim() : String(value);
+    if (uppercase) text = text.toUpperCase();
+
+    if (text.length < min) return invalid(errors, field, 'TOO_SHORT', `${field} must be at least ${min} characters`);
+    if (text.length > max) return invalid(errors, field, 'TOO_LONG', `${field} must be at most ${max} characters`);
+    if (pattern && !pattern.test(text)) {
+      return invalid(errors, field, 'INVALID_FORMAT', patternMessage || `${field} is not in the expected format`);
+    }
+    return text;
+  });
+}
+
+function oneOf(values) {
+  return schema((value, field, errors) => {
+    const text = String(value).trim();
+    if (!values.includes(text)) {
+      return invalid(errors, field, 'INVALID_OPTION', `${field} must be one of ${values.join(', ')}`);
+    }
+    return text;
+  });
+}
+
+function number({ min, max, integer = false } = {}) {
+  return schema((value, field, errors) => {
+    const parsed = typeof value === 'number' ? value
+      : (typeof value === 'string' && /^-?\d+(\.\d+)?$/.test(value.trim()) ? Number(value) : NaN);
+
+    if (!Number.isFinite(parsed)) return invalid(errors, field, 'INVALID_NUMBER', `${field} must be a number`);
+    if (integer && !Number.isInteger(parsed)) return invalid(errors, field, 'INVALID_NUMBER', `${field} must be a whole number`);
+    if (min !== undefined && parsed < min) return invalid(errors, field, 'TOO_SMALL', `${field} must be at least ${min}`);
+    if (max !== undefined && parsed > max) return invalid(errors, field, 'TOO_LARGE', `${field} must be at most ${max}`);
+    return parsed;
+  });
+}
+
+function boolean() {
+  return schema((value, field, errors) => {
+    if (value === true || value === 'true') return true;
+    if (value === false || value === 'false') return false;
+    return invalid(errors, field, 'INVALID_BOOLEAN', `${field} must be true or false`);
+  });
+}
+
+// A date or date-time, e.g. 2026-10-19 (UTC midnight) or an ISO timestamp
+function date() {
+  return schema((value, field, errors) => {
+    const parsed = value instanceof Date ? value
+      : (typeof value === 'string' ? new Date(value.trim()) : new Date(NaN));
+    if (isNaN(parsed)) return invalid(errors, field, 'INVALID_DATE', `${field} must be a valid date`);
+    return parsed;
+  });
+}
+
+// Trimmed and lower-cased
+function email() {
+  return schema((value, field, errors) => {
+    const address = String(value).trim().toLowerCase();
+    if (address.length > 254 || !/^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(address)) {
+      return invalid(errors, field, 'INVALID_EMAIL', `${field} must be a valid email address`);
+    }
+    return address;
+  });
+}
+
+// Normalised to E.164; bare 10-digit numbers are taken to be Indian
+function phone() {
+  return schema((value, field, errors) => {
+    const raw = String(value).trim();
+    const e164 = /^\+?[\d\s().-]+$/.test(raw) ? toE164(raw) : '';
+    const valid = /^\+[1-9]\d{7,14}$/.test(e164) &&
+      (!e164.startsWith('+91') || /^\+91[6-9]\d{9}$/.test(e164));
+    if (!valid) return invalid(errors, field, 'INVALID_PHONE', `${field} must be a valid phone number`);
+    return e164;
+  });
+}
+
+function objectId() {
+  return schema((value, field, errors) => {
+    if (!mongoose.isValidObjectId(value)) return invalid(errors, field, 'INVALID_ID', `${field} is not a valid id`);
+    return String(value);
+  });
+}
+
+// Multipart forms send nested values as JSON text
+function fromJson(value, field, errors) {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return invalid(errors, field, 'INVALID_JSON', `${field} must be valid JSON`);
+  }
+}
+
+function array(item, { min = 0, max = 100 } = {}) {
+  return schema((value, field, errors) => {
+    const before = errors.length;
+    const list = fromJson(value, field, errors);
+    if (errors.length > before) return undefined;
+
+    if (!Array.isArray(list)) return invalid(errors, field, 'INVALID_TYPE', `${field} must be a list`);
+    if (list.length < min) return invalid(errors, field, 'TOO_FEW', `${field} must have at least ${min} entries`);
+    if (list.length > max) return invalid(errors, field, 'TOO_MANY', `${field} must have at most ${max} entries`);
+    return list.map((entry, index) => item.parse(entry, fieldName(field, index), errors));
+  });
+}
+
+// A comma-separated list (or repeated query parameter) of values, e.g. status=Confirmed,Checked-In
+function list(item) {
+  return schema((value, field, errors) => {
+    const values = (Array.isArray(value) ? value : String(value).split(','))
+      .map(entry => String(entry).trim())
+      .filter(Boolean);
+    return values.map(entry => item.parse(entry, field, errors));
+  });
+}
+
+// Only the keys in `shape` are kept; anything else in the input is dropped
+function object(shape) {
+  return schema((value, field, errors) => {
+    const before = errors.length;
+    const input = fromJson(value, field, errors);
+    if (errors.length > before) return undefined;
+
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+      return invalid(errors, field, 'INVALID_TYPE', `${field || 'Request body'} must be an object`);
+    }
+
+    const output = {};
+    for (const [key, fieldSchema] of Object.entries(shape)) {
+      const parsed = fieldSchema.parse(input[key], fieldName(field, key), errors);
+      if (parsed !== undefined) output[key] = parsed;
+    }
+    return output;
+  });
+}
+
+// The same fields, all optional (for updates)
+function partial(shape) {
+  return Object.fromEntries(Object.entries(shape).map(([key, fieldSchema]) => [key, fieldSchema.optional()]));
+}
+
+// Middleware that validates `req.params`, `req.query` and `req.body` against
+// object schemas and replaces them with the cleaned values. Must come after
+// any multer middleware, which is what fills `req.body` for multipart forms.
+function validate(schemas) {
+  return (req, res, next) => {
+    const errors = [];
+    const parsed = {};
+    for (const part of ['params', 'query', 'body']) {
+      if (schemas[part]) parsed[part] = schemas[part].parse(req[part] || {}, '', errors);
+    }
+
+    if (errors.length > 0) {
+      const message = errors.length === 1 ? errors[0].message : 'Some fields are invalid';
+      return next(new ApiError(400, 'VALIDATION_FAILED', message, errors));
+    }
+
+    Object.assign(req, parsed);
+    next();
+  };
+}
+
+module.exports = {
+  string,
+  oneOf,
+  number,
+  boolean,
+  date,
+  email,
+  phone,
+  objectId,
+  array,
+  list,
+  object,
+  partial,
+  validate
+};
@@ -0,0 +1,111 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./support/app');
+
+describe('availability', () => {
+  let api;
+
+  before(async () => {
+    api = await startTestApp();
+  });
+
+  after(async () => {
+    await api.stop();
+  });
+
+  beforeEach(async () => {
+    await api.reset();
+  });
+
+  const availableRoomNumbers = async (checkIn, checkOut, query = '') => {
+    const { status, body } = await api.request('GET', `/rooms/available?checkIn=${checkIn}&checkOut=${checkOut}${query}`);
+    assert.equal(status, 200);
+    return body.map(room => room.roomNumber).sort();
+  };
+
+  it('lists every room with a quote for free dates', async () => {
+    const { status, body } = await api.request('GET', `/rooms/available?checkIn=${api.dayAfter(3)}&checkOut=${api.dayAfter(5)}`);
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.map(room => room.roomNumber).sort(), ['T101', 'T102', 'T201']);
+    const standard = body.find(room => room.roomNumber === 'T101');
+    assert.equal(standard.quote.total, 3000);
+    assert.equal(standard.quote.nights.length, 2);
+  });
+
+  it('filters by category', async () => {
+    assert.deepEqual(await availableRoomNumbers(api.dayAfter(3), api.dayAfter(5), '&category=Suite'), ['T201']);
+  });
+
+  it('takes booked rooms off sale only for the nights they are booked', async () => {
+    const booking = await api.bookRooms({ roomNumbers: ['T101'], checkIn: api.dayAfter(3), checkOut: api.dayAfter(5) });
+    assert.equal(booking.status, 201);
+
+    assert.deepEqual(await availableRoomNumbers(api.dayAfter(4), api.dayAfter(6)), ['T102', 'T201']);
+    // Checkout day is free for the next guest
+    assert.deepEqual(await availableRoomNumbers(api.dayAfter(5), api.dayAfter(6)), ['T101', 'T102', 'T201']);
+    assert.deepEqual(await availableRoomNumbers(api.dayAfter(1), api.dayAfter(3)), ['T101', 'T102', 'T201']);
+  });
+
+  it('holds rooms until the hold expires', async () => {
+    const hold = await api.request('POST', '/holds', {
+      body: {
+        checkInDate: api.dayAfter(3),
+        checkOutDate: api.dayAfter(4),
+        roomType: 'AC',
+        selectedRooms: [{ roomNumber: 'T102' }]
+      }
+    });
+    assert.equal(hold.status, 201);
+    assert.equal(hold.body.totalAmount, 1500);
+
+    assert.deepEqual(await availableRoomNumbers(api.dayAfter(3), api.dayAfter(4)), ['T101', 'T201']);
+
+    // The calendar shows the held night as taken too; the clock starts on 1 March
+    const heldNight = (calendar) => calendar.body.rooms.find(room => room.roomNumber === 'T102').nights[3];
+    assert.equal(heldNight(await api.request('GET', '/rooms/calendar?month=2030-03')), 'held');
+
+    api.clock.advance(16 * 60 * 1000);
+
+    assert.deepEqual(await availableRoomNumbers(api.dayAfter(3), api.dayAfter(4)), ['T101', 'T102', 'T201']);
+    assert.equal(heldNight(await api.request('GET', '/rooms/calendar?month=2030-03')), 'free');
+    const expired = await api.request('GET', `/holds/${hold.body.holdToken}`);
+    assert.equal(expired.status, 404);
+    assert.equal(expired.body.code, 'HOLD_EXPIRED');
+  });
+
+  it('rejects a hold on rooms another guest is holding', async () => {
+    const stay = {
+      checkInDate: api.dayAfter(3),
+      checkOutDate: api.dayAfter(5),
+      roomType: 'AC',
+      selectedRooms: [{ roomNumber: 'T101' }]
+    };
+
+    assert.equal((await api.request('POST', '/holds', { body: stay })).status, 201);
+    const second = await api.request('POST', '/holds', { body: { ...stay, checkInDate: api.dayAfter(4) } });
+
+    assert.equal(second.status, 409);
+    assert.equal(second.body.code, 'ROOM_UNAVAILABLE');
+  });
+
+  it('puts the rooms of a cancelled booking back on sale', async () => {
+    const booking = await api.bookRooms({ roomNumbers: ['T201'], roomType: 'AC', checkIn: api.dayAfter(10), checkOut: api.dayAfter(12) });
+    assert.equal(booking.status, 201);
+    assert.deepEqual(await availableRoomNumbers(api.dayAfter(10), api.dayAfter(12)), ['T101', 'T102']);
+
+    const token = await api.loginOwner();
+    const cancelled = await api.request('PUT', `/admin/bookings/${booking.body._id}/cancel`, { token, body: {} });
+    assert.equal(cancelled.status, 200);
+
+    assert.deepEqual(await availableRoomNumbers(api.dayAfter(10), api.dayAfter(12)), ['T101', 'T102', 'T201']);
+  });
+
+  it('validates the requested dates', async () => {
+    const { status, body } = await api.request('GET', `/rooms/available?checkIn=${api.dayAfter(5)}&checkOut=${api.dayAfter(3)}`);
+
+    assert.equal(status, 400);
+    assert.equal(body.code, 'VALIDATION_FAILED');
+    assert.equal(body.errors[0].field, 'checkOut');
+  });
+});
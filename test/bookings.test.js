@@ -0,0 +1,198 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Booking = require('../models/Booking');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const { startTestApp } = require('./support/app');
+
+describe('bookings', () => {
+  let api;
+
+  before(async () => {
+    api = await startTestApp();
+  });
+
+  after(async () => {
+    await api.stop();
+  });
+
+  beforeEach(async () => {
+    await api.reset();
+  });
+
+  const stayFor = (roomNumbers, checkIn, checkOut) => ({
+    checkInDate: checkIn,
+    checkOutDate: checkOut,
+    roomType: 'AC',
+    selectedRooms: roomNumbers.map(roomNumber => ({ roomNumber }))
+  });
+
+  const guest = {
+    customerName: 'Asha Patil',
+    customerPhone: '9876543210',
+    customerEmail: 'asha@example.test'
+  };
+
+  it('books held rooms at inventory prices and emails the guest and front desk', async () => {
+    const { status, body } = await api.bookRooms({
+      roomNumbers: ['T101', 'T102'],
+      checkIn: api.dayAfter(2),
+      checkOut: api.dayAfter(5)
+    });
+
+    assert.equal(status, 201);
+    assert.equal(body.bookingStatus, 'Confirmed');
+    assert.equal(body.totalAmount, 2 * 3 * 1500);
+    assert.equal(body.roomCategory, 'Standard');
+    assert.equal(new Date(body.bookingDate).getTime(), api.clock.now().getTime());
+    assert.equal(body.emailSent, true);
+
+    assert.deepEqual(api.mailer.sent.map(mail => mail.to).sort(), ['asha@example.test', 'frontdesk@example.test']);
+    assert.equal(api.messagingProvider.sent.length, 1);
+    assert.equal(api.messagingProvider.sent[0].to, '+919876543210');
+
+    const token = await api.loginOwner();
+    const notifications = await api.request('GET', `/bookings/${body._id}/notifications`, { token });
+    assert.equal(notifications.body.length, 3);
+    for (const notification of notifications.body) {
+      assert.equal(notification.status, 'sent');
+      assert.equal(new Date(notification.sentAt).getTime(), api.clock.now().getTime());
+    }
+  });
+
+  it('requires a hold', async () => {
+    const { status, body } = await api.request('POST', '/bookings', {
+      body: { ...stayFor(['T101'], api.dayAfter(2), api.dayAfter(3)), ...guest }
+    });
+
+    assert.equal(status, 400);
+    assert.equal(body.code, 'HOLD_REQUIRED');
+  });
+
+  it('rejects a booking that does not match the held rooms', async () => {
+    const hold = await api.request('POST', '/holds', { body: stayFor(['T101'], api.dayAfter(2), api.dayAfter(4)) });
+    assert.equal(hold.status, 201);
+
+    const { status, body } = await api.request('POST', '/bookings', {
+      body: { ...stayFor(['T101'], api.dayAfter(2), api.dayAfter(3)), ...guest, holdToken: hold.body.holdToken }
+    });
+
+    assert.equal(status, 409);
+    assert.equal(body.code, 'HOLD_MISMATCH');
+  });
+
+  it('rejects a booking once the hold has expired', async () => {
+    const hold = await api.request('POST', '/holds', { body: stayFor(['T101'], api.dayAfter(2), api.dayAfter(3)) });
+    api.clock.advance(20 * 60 * 1000);
+
+    const { status, body } = await api.request('POST', '/bookings', {
+      body: { ...stayFor(['T101'], api.dayAfter(2), api.dayAfter(3)), ...guest, holdToken: hold.body.holdToken }
+    });
+
+    assert.equal(status, 409);
+    assert.equal(body.code, 'HOLD_EXPIRED');
+  });
+
+  it('rejects check-in dates in the past', async () => {
+    const { status, body } = await api.request('POST', '/holds', { body: stayFor(['T101'], api.dayAfter(-1), api.dayAfter(1)) });
+
+    assert.equal(status, 400);
+    assert.equal(body.errors[0].code, 'DATE_IN_PAST');
+  });
+
+  it('replays a retried booking request with the same Idempotency-Key', async () => {
+    const stay = stayFor(['T201'], api.dayAfter(2), api.dayAfter(3));
+    const hold = await api.request('POST', '/holds', { body: stay });
+    const request = {
+      body: { ...stay, ...guest, holdToken: hold.body.holdToken },
+      headers: { 'Idempotency-Key': 'booking-form-1' }
+    };
+
+    const first = await api.request('POST', '/bookings', request);
+    const retry = await api.request('POST', '/bookings', request);
+
+    assert.equal(first.status, 201);
+    assert.equal(retry.status, 201);
+    assert.equal(retry.headers.get('idempotent-replayed'), 'true');
+    assert.equal(retry.body._id, first.body._id);
+
+    const stored = await IdempotencyKey.findOne({ key: 'booking-form-1' });
+    assert.equal(stored.createdAt.getTime(), api.clock.now().getTime());
+
+    const token = await api.loginOwner();
+    const list = await api.request('GET', '/bookings', { token });
+    assert.equal(list.body.pagination.total, 1);
+  });
+
+  it('does not move bookings into the past', async () => {
+    const booking = await api.bookRooms({ checkIn: api.dayAfter(2), checkOut: api.dayAfter(3) });
+    const token = await api.loginOwner();
+
+    const { status, body } = await api.request('PUT', `/bookings/${booking.body._id}`, {
+      token,
+      body: { checkInDate: api.dayAfter(-1) }
+    });
+    assert.equal(status, 400);
+    assert.equal(body.errors[0].code, 'DATE_IN_PAST');
+  });
+
+  it('does not cancel on a booking id and phone number alone', async () => {
+    const booking = await api.bookRooms({ checkIn: api.dayAfter(7), checkOut: api.dayAfter(8) });
+
+    // Guests cancel through the portal, after signing in with a one-time code
+    const { status } = await api.request('PUT', `/bookings/${booking.body._id}/cancel`, {
+      body: { customerPhone: '9876543210' }
+    });
+    assert.equal(status, 404);
+
+    const token = await api.loginOwner();
+    const stored = await api.request('GET', `/bookings/${booking.body._id}`, { token });
+    assert.equal(stored.body.bookingStatus, 'Confirmed');
+  });
+
+  it('finds bookings for the front desk only', async () => {
+    await api.bookRooms({ checkIn: api.dayAfter(2), checkOut: api.dayAfter(3) });
+    await api.bookRooms({ roomNumbers: ['T201'], checkIn: api.dayAfter(2), checkOut: api.dayAfter(3), customerName: 'Ravi Kulkarni' });
+
+    const anonymous = await api.request('GET', '/bookings');
+    assert.equal(anonymous.status, 401);
+
+    const token = await api.loginOwner();
+    const { status, body } = await api.request('GET', '/bookings?q=ravi', { token });
+    assert.equal(status, 200);
+    assert.deepEqual(body.bookings.map(booking => booking.customerName), ['Ravi Kulkarni']);
+    assert.deepEqual(body.pagination, { page: 1, limit: 20, total: 1, pages: 1 });
+  });
+
+  it('numbers bookings by year and finds them by reference', async () => {
+    const first = await api.bookRooms({ checkIn: api.dayAfter(2), checkOut: api.dayAfter(3) });
+    const second = await api.bookRooms({ roomNumbers: ['T201'], checkIn: api.dayAfter(2), checkOut: api.dayAfter(3) });
+    assert.equal(first.body.bookingRef, 'KYN-2030-00001');
+    assert.equal(second.body.bookingRef, 'KYN-2030-00002');
+
+    const confirmation = api.mailer.sent.find(mail => mail.to === 'asha@example.test');
+    assert.match(confirmation.subject, /KYN-2030-00001/);
+
+    const token = await api.loginOwner();
+    const found = await api.request('GET', '/bookings/ref/kyn-2030-00002', { token });
+    assert.equal(found.status, 200);
+    assert.equal(found.body._id, second.body._id);
+
+    const missing = await api.request('GET', '/bookings/ref/KYN-2030-00099', { token });
+    assert.equal(missing.status, 404);
+    assert.equal(missing.body.code, 'BOOKING_NOT_FOUND');
+
+    const search = await api.request('GET', '/bookings?q=2030-00001', { token });
+    assert.deepEqual(search.body.bookings.map(booking => booking._id), [first.body._id]);
+
+    // Bookings not yet given a reference show the one their confirmation quoted
+    const legacy = new Booking();
+    assert.equal(legacy.reference, legacy._id.toString().slice(-6));
+
+    // Staff find backfilled bookings by that reference too
+    const legacyRef = first.body._id.slice(-6);
+    await Booking.updateOne({ _id: first.body._id }, { legacyRef });
+    const byLegacyRef = await api.request('GET', `/bookings/ref/${legacyRef.toUpperCase()}`, { token });
+    assert.equal(byLegacyRef.status, 200);
+    assert.equal(byLegacyRef.body._id, first.body._id);
+  });
+});
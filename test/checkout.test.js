@@ -0,0 +1,231 @@
+const fs = require('fs');
+const path = require('path');
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { GUEST_ID_DIR } = require('../middleware/uploads');
+const { financialYear, gstRateFor } = require('../services/invoice');
+const { DAY_MS, startTestApp } = require('./support/app');
+
+// Smallest valid PNG, standing in for a scanned ID
+const ID_SCAN = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==',
+  'base64'
+);
+
+describe('check-in and checkout', () => {
+  let api;
+  let token;
+  const storedScans = [];
+
+  before(async () => {
+    api = await startTestApp();
+  });
+
+  after(async () => {
+    await Promise.all(storedScans.map(file => fs.promises.unlink(path.join(GUEST_ID_DIR, file)).catch(() => {})));
+    await api.stop();
+  });
+
+  beforeEach(async () => {
+    await api.reset();
+    token = await api.loginOwner();
+  });
+
+  const checkIn = async (bookingId, guests) => {
+    const form = new FormData();
+    form.append('adults', String(guests.length));
+    form.append('guests', JSON.stringify(guests));
+    for (const [index] of guests.entries()) {
+      form.append('idImages', new Blob([ID_SCAN], { type: 'image/png' }), `id-${index}.png`);
+    }
+
+    const result = await api.request('PUT', `/bookings/${bookingId}/checkin`, { token, form });
+    if (result.status === 200) {
+      storedScans.push(...result.body.guests.map(guest => guest.idImage));
+    }
+    return result;
+  };
+
+  const guests = [
+    { name: 'Asha Patil', idType: 'aadhaar', idNumber: '1234 5678 9012' },
+    { name: 'Vikram Patil', idType: 'passport', idNumber: 'Z1234567' }
+  ];
+
+  it('checks a guest in, out and invoices the stay', async () => {
+    const booking = await api.bookRooms({ roomNumbers: ['T101'], checkIn: api.dayAfter(1), checkOut: api.dayAfter(3) });
+    await api.request('POST', `/bookings/${booking.body._id}/payments`, { token, body: { amount: 3000, method: 'cash' } });
+
+    api.clock.advance(DAY_MS);
+    const checkedIn = await checkIn(booking.body._id, guests);
+    assert.equal(checkedIn.status, 200);
+    assert.equal(checkedIn.body.bookingStatus, 'Checked-In');
+    assert.equal(new Date(checkedIn.body.checkedInAt).getTime(), api.clock.now().getTime());
+    assert.equal(checkedIn.body.guests.length, 2);
+    assert.match(checkedIn.body.guests[0].idImage, /^[0-9a-f]{32}\.jpg$/);
+
+    const scan = await api.request('GET', `/bookings/${booking.body._id}/guests/${checkedIn.body.guests[0]._id}/id-image`, { token });
+    assert.equal(scan.status, 200);
+    assert.equal(scan.headers.get('content-type'), 'image/jpeg');
+
+    const register = await api.request('GET', '/guest-register', { token });
+    assert.equal(register.status, 200);
+    assert.equal(register.body.entries.length, 2);
+
+    api.clock.advance(2 * DAY_MS);
+    api.mailer.sent.length = 0;
+    const checkout = await api.request('PUT', `/bookings/${booking.body._id}/checkout`, { token });
+
+    assert.equal(checkout.status, 200);
+    assert.deepEqual(checkout.body.roomNumbers, ['T101']);
+    assert.match(checkout.body.invoiceNumber, /^KYN\/\d{4}-\d{2}\/00001$/);
+    assert.equal(checkout.body.emailSent, true);
+
+    const [invoiceEmail] = api.mailer.sent;
+    assert.equal(invoiceEmail.to, 'asha@example.test');
+    assert.equal(invoiceEmail.attachments[0].contentType, 'application/pdf');
+
+    const completed = await api.request('GET', `/bookings/${booking.body._id}`, { token });
+    assert.equal(completed.body.bookingStatus, 'Completed');
+    assert.equal(new Date(completed.body.checkedOutAt).getTime(), api.clock.now().getTime());
+
+    const status = await api.request('GET', '/rooms/status', { token });
+    const room = status.body.rooms.find(entry => entry.roomNumber === 'T101');
+    assert.equal(room.housekeepingStatus, 'Dirty');
+
+    const invoice = await api.request('GET', `/bookings/${booking.body._id}/invoice`, { token });
+    assert.equal(invoice.body.invoiceNumber, checkout.body.invoiceNumber);
+    assert.equal(invoice.body.amountPaid, 3000);
+  });
+
+  it('puts the rest of the stay back on sale when a guest leaves early', async () => {
+    const booking = await api.bookRooms({ roomNumbers: ['T101'], checkIn: api.dayAfter(1), checkOut: api.dayAfter(4) });
+    assert.equal(booking.body.totalAmount, 3 * 1500);
+
+    api.clock.advance(DAY_MS);
+    assert.equal((await checkIn(booking.body._id, guests)).status, 200);
+
+    api.clock.advance(DAY_MS);
+    const checkout = await api.request('PUT', `/bookings/${booking.body._id}/checkout`, { token });
+    assert.equal(checkout.status, 200);
+
+    const completed = await api.request('GET', `/bookings/${booking.body._id}`, { token });
+    assert.equal(completed.body.checkOutDate.slice(0, 10), api.dayAfter(0));
+    assert.equal(completed.body.totalAmount, 1500);
+    assert.equal(completed.body.selectedRooms[0].nightlyRates.length, 1);
+    assert.equal(completed.body.changeHistory.at(-1).previous.totalAmount, 3 * 1500);
+
+    const nextGuest = await api.bookRooms({ roomNumbers: ['T101'], checkIn: api.dayAfter(0), checkOut: api.dayAfter(2) });
+    assert.equal(nextGuest.status, 201);
+  });
+
+  it('shows a proforma until the invoice is issued, keeping the series unbroken', async () => {
+    const cancelledBooking = await api.bookRooms({ checkIn: api.dayAfter(5), checkOut: api.dayAfter(6) });
+    const proforma = await api.request('GET', `/bookings/${cancelledBooking.body._id}/invoice`, { token });
+    assert.equal(proforma.status, 200);
+    assert.equal(proforma.body.proforma, true);
+    assert.equal(proforma.body.invoiceNumber, undefined);
+    const proformaHtml = await api.request('GET', `/bookings/${cancelledBooking.body._id}/invoice/html`, { token });
+    assert.match(proformaHtml.body, /Proforma Invoice/);
+    await api.request('PUT', `/admin/bookings/${cancelledBooking.body._id}/cancel`, { token, body: {} });
+
+    // Two staff issuing the same invoice at once get the same number
+    const booking = await api.bookRooms({ roomNumbers: ['T201'], checkIn: api.dayAfter(5), checkOut: api.dayAfter(6) });
+    const issued = await Promise.all([
+      api.request('POST', `/bookings/${booking.body._id}/invoice`, { token, body: {} }),
+      api.request('POST', `/bookings/${booking.body._id}/invoice`, { token, body: {} })
+    ]);
+    assert.deepEqual(issued.map(result => result.status), [201, 201]);
+    assert.match(issued[0].body.invoiceNumber, /\/00001$/);
+    assert.equal(issued[1].body.invoiceNumber, issued[0].body.invoiceNumber);
+  });
+
+  it('charges GST on every room tariff, budget rooms included', () => {
+    assert.equal(gstRateFor(800), 5);
+    assert.equal(gstRateFor(1000), 5);
+    assert.equal(gstRateFor(7500), 5);
+    assert.equal(gstRateFor(7501), 18);
+  });
+
+  it('counts financial years from 1 April in UTC', () => {
+    assert.equal(financialYear(new Date('2031-03-31T23:30:00.000Z')), '2030-31');
+    assert.equal(financialYear(new Date('2031-04-01T00:00:00.000Z')), '2031-32');
+  });
+
+  it('keeps the check-in date once the guest is in', async () => {
+    const booking = await api.bookRooms({ checkIn: api.dayAfter(1), checkOut: api.dayAfter(3) });
+    api.clock.advance(DAY_MS);
+    assert.equal((await checkIn(booking.body._id, guests.slice(0, 1))).status, 200);
+
+    const moved = await api.request('PUT', `/bookings/${booking.body._id}`, {
+      token,
+      body: { checkInDate: api.dayAfter(1), checkOutDate: api.dayAfter(3) }
+    });
+    assert.equal(moved.status, 409);
+    assert.equal(moved.body.code, 'GUEST_CHECKED_IN');
+  });
+
+  it('needs one ID scan per guest at check-in', async () => {
+    const booking = await api.bookRooms({ checkIn: api.dayAfter(1), checkOut: api.dayAfter(2) });
+
+    const form = new FormData();
+    form.append('adults', '2');
+    form.append('guests', JSON.stringify(guests));
+    form.append('idImages', new Blob([ID_SCAN], { type: 'image/png' }), 'id-0.png');
+    const { status, body } = await api.request('PUT', `/bookings/${booking.body._id}/checkin`, { token, form });
+
+    assert.equal(status, 400);
+    assert.equal(body.code, 'ID_IMAGE_REQUIRED');
+
+    // Scans are checked by their content, not the type the browser sent
+    const disguised = new FormData();
+    disguised.append('adults', '1');
+    disguised.append('guests', JSON.stringify(guests.slice(0, 1)));
+    disguised.append('idImages', new Blob(['<html><script>alert(1)</script></html>'], { type: 'image/png' }), 'id-0.png');
+    const refused = await api.request('PUT', `/bookings/${booking.body._id}/checkin`, { token, form: disguised });
+    assert.equal(refused.status, 400);
+    assert.equal(refused.body.code, 'UNSUPPORTED_FILE_TYPE');
+  });
+
+  it('only checks out stays in progress', async () => {
+    const booking = await api.bookRooms({ checkIn: api.dayAfter(5), checkOut: api.dayAfter(6) });
+    await api.request('PUT', `/admin/bookings/${booking.body._id}/cancel`, { token, body: {} });
+
+    const { status, body } = await api.request('PUT', `/bookings/${booking.body._id}/checkout`, { token });
+
+    assert.equal(status, 409);
+    assert.equal(body.code, 'BOOKING_NOT_ACTIVE');
+  });
+
+  it('is for staff only', async () => {
+    const booking = await api.bookRooms({ checkIn: api.dayAfter(1), checkOut: api.dayAfter(2) });
+
+    const { status, body } = await api.request('PUT', `/bookings/${booking.body._id}/checkout`);
+
+    assert.equal(status, 401);
+    assert.equal(body.code, 'AUTH_REQUIRED');
+  });
+
+  it('checks out stays left open past their checkout date', async () => {
+    const booking = await api.bookRooms({ checkIn: api.dayAfter(1), checkOut: api.dayAfter(2) });
+    const neverArrived = await api.bookRooms({ roomNumbers: ['T102'], checkIn: api.dayAfter(1), checkOut: api.dayAfter(2) });
+    api.clock.advance(DAY_MS);
+    assert.equal((await checkIn(booking.body._id, guests.slice(0, 1))).status, 200);
+
+    api.clock.advance(2 * DAY_MS);
+    const run = await api.request('POST', '/jobs/auto-checkout/run', { token });
+
+    assert.equal(run.status, 200);
+    assert.deepEqual(run.body.result, { completed: 1 });
+    const completed = await api.request('GET', `/bookings/${booking.body._id}`, { token });
+    assert.equal(completed.body.bookingStatus, 'Completed');
+
+    // Guests who never checked in are left to the no-show job, uninvoiced
+    const unarrived = await api.request('GET', `/bookings/${neverArrived.body._id}`, { token });
+    assert.equal(unarrived.body.bookingStatus, 'Confirmed');
+    const manual = await api.request('PUT', `/bookings/${neverArrived.body._id}/checkout`, { token });
+    assert.equal(manual.status, 409);
+    assert.equal(manual.body.code, 'NOT_CHECKED_IN');
+    const bill = await api.request('GET', `/bookings/${neverArrived.body._id}/invoice`, { token });
+    assert.equal(bill.body.proforma, true);
+  });
+});
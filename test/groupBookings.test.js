@@ -0,0 +1,136 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Room = require('../models/Room');
+const { startTestApp } = require('./support/app');
+
+// Dormitory-style rooms like the ones pilgrim parties fill
+const GENERAL_ROOMS = [
+  { roomCategory: 'Standard', type: 'General', roomNumber: 'G301', price: 800, capacity: 4 },
+  { roomCategory: 'Standard', type: 'General', roomNumber: 'G302', price: 800, capacity: 4 }
+];
+
+describe('group bookings', () => {
+  let api;
+
+  before(async () => {
+    api = await startTestApp();
+  });
+
+  after(async () => {
+    await api.stop();
+  });
+
+  beforeEach(async () => {
+    await api.reset();
+    await Room.seed(GENERAL_ROOMS);
+  });
+
+  const groupStay = (headcount, extras = {}) => ({
+    checkInDate: api.dayAfter(7),
+    checkOutDate: api.dayAfter(9),
+    headcount,
+    roomTypes: ['General', 'AC'],
+    ...extras
+  });
+
+  const groupLeader = {
+    groupName: 'Shirdi Padyatra Mandal',
+    customerName: 'Ramesh Jadhav',
+    customerPhone: '9822001122',
+    customerEmail: 'ramesh@example.test'
+  };
+
+  it('fills the preferred room types first and quotes current tariffs', async () => {
+    const quote = await api.request('POST', '/group-bookings/quote', { body: groupStay(9) });
+    assert.equal(quote.status, 200);
+    assert.deepEqual(
+      quote.body.rooms.map(room => [room.roomNumber, room.occupants]),
+      [['G301', 4], ['G302', 4], ['T201', 1]]
+    );
+    assert.equal(quote.body.capacity, 11);
+    assert.equal(quote.body.totalAmount, 2 * (800 + 800 + 2500));
+
+    const tooMany = await api.request('POST', '/group-bookings/quote', { body: groupStay(20) });
+    assert.equal(tooMany.status, 409);
+    assert.equal(tooMany.body.code, 'NOT_ENOUGH_ROOMS');
+    assert.equal(tooMany.body.available, 15);
+  });
+
+  it('books a group at a negotiated rate with its members in rooms', async () => {
+    const token = await api.loginOwner();
+    const booked = await api.request('POST', '/group-bookings', {
+      token,
+      body: {
+        ...groupStay(9),
+        ...groupLeader,
+        ratePerGuestNight: 300,
+        members: [{ name: 'Sunita Jadhav', roomNumber: 'T201' }, { name: 'Ramesh Jadhav' }]
+      }
+    });
+    assert.equal(booked.status, 201);
+    assert.equal(booked.body.totalAmount, 9 * 2 * 300);
+    assert.equal(booked.body.roomCategory, undefined);
+    assert.equal(booked.body.roomType, undefined);
+    assert.deepEqual(
+      booked.body.group.members.map(member => [member.name, member.roomNumber]),
+      [['Sunita Jadhav', 'T201'], ['Ramesh Jadhav', 'G301']]
+    );
+    assert.equal(api.mailer.sent[0].to, 'ramesh@example.test');
+
+    // The rooms are taken for everyone else
+    const single = await api.bookRooms({ roomNumbers: ['T201'], checkIn: api.dayAfter(8), checkOut: api.dayAfter(9) });
+    assert.equal(single.status, 409);
+
+    const members = await api.request('PUT', `/group-bookings/${booked.body._id}/members`, {
+      token,
+      body: { members: [{ name: 'Sunita Jadhav' }, { name: 'Ramesh Jadhav', roomNumber: 'G302' }] }
+    });
+    assert.equal(members.status, 200);
+    assert.deepEqual(
+      members.body.group.members.map(member => member.roomNumber),
+      ['G301', 'G302']
+    );
+
+    const stranger = await api.request('PUT', `/group-bookings/${booked.body._id}/members`, {
+      token,
+      body: { members: [{ name: 'Sunita Jadhav', roomNumber: 'T101' }] }
+    });
+    assert.equal(stranger.status, 422);
+    assert.equal(stranger.body.code, 'ROOM_NOT_IN_BOOKING');
+
+    // One bill for the whole party, room by room
+    const invoice = await api.request('GET', `/bookings/${booked.body._id}/invoice/html`, { token });
+    assert.equal(invoice.status, 200);
+    assert.match(invoice.body, /Room G301 \(Standard General\)/);
+    assert.match(invoice.body, /Room T201 \(Suite AC\)/);
+
+    const changed = await api.request('PUT', `/bookings/${booked.body._id}`, {
+      token,
+      body: { checkOutDate: api.dayAfter(10) }
+    });
+    assert.equal(changed.status, 409);
+    assert.equal(changed.body.code, 'GROUP_BOOKING_NOT_MODIFIABLE');
+  });
+
+  it('leaves group rates to owners and members within the headcount', async () => {
+    const ownerToken = await api.loginOwner();
+    await api.request('POST', '/admin/users', {
+      token: ownerToken,
+      body: { username: 'desk', password: 'desk-password', phone: '9000000002', role: 'frontdesk' }
+    });
+    const login = await api.request('POST', '/admin/login', { body: { username: 'desk', password: 'desk-password' } });
+
+    const discounted = await api.request('POST', '/group-bookings', {
+      token: login.body.token,
+      body: { ...groupStay(4), ...groupLeader, ratePerGuestNight: 100 }
+    });
+    assert.equal(discounted.status, 403);
+
+    const crowded = await api.request('POST', '/group-bookings', {
+      token: ownerToken,
+      body: { ...groupStay(2), ...groupLeader, members: [{ name: 'A' }, { name: 'B' }, { name: 'C' }] }
+    });
+    assert.equal(crowded.status, 400);
+    assert.equal(crowded.body.code, 'VALIDATION_FAILED');
+  });
+});
@@ -0,0 +1,156 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const Booking = require('../models/Booking');
+const { createMessagingProvider } = require('../services/messaging');
+const { startTestApp } = require('./support/app');
+
+describe('guest portal', () => {
+  let api;
+
+  before(async () => {
+    api = await startTestApp();
+  });
+
+  after(async () => {
+    await api.stop();
+  });
+
+  beforeEach(async () => {
+    await api.reset();
+  });
+
+  // The code in the last text message the guest received
+  const lastTextedCode = () => api.messagingProvider.sent.at(-1).body.match(/\b(\d{6})\b/)[1];
+
+  // Ask for a code by text and sign in with it
+  const signIn = async (booking) => {
+    const details = { bookingRef: booking.body.bookingRef, customerPhone: booking.body.customerPhone };
+    const requested = await api.request('POST', '/guest/access-code', { body: details });
+    assert.equal(requested.status, 202);
+
+    const login = await api.request('POST', '/guest/login', { body: { ...details, code: lastTextedCode() } });
+    assert.equal(login.status, 200);
+    return login.body.token;
+  };
+
+  it('signs guests in with a one-time code sent to their phone', async () => {
+    const booking = await api.bookRooms({ checkIn: api.dayAfter(7), checkOut: api.dayAfter(9) });
+    const details = { bookingRef: booking.body.bookingRef.toLowerCase(), customerPhone: '+91 98765 43210' };
+
+    const requested = await api.request('POST', '/guest/access-code', { body: details });
+    assert.equal(requested.status, 202);
+    const text = api.messagingProvider.sent.at(-1);
+    assert.equal(text.to, '+919876543210');
+    const code = lastTextedCode();
+
+    const wrongCode = await api.request('POST', '/guest/login', {
+      body: { ...details, code: code === '000000' ? '111111' : '000000' }
+    });
+    assert.equal(wrongCode.status, 401);
+    assert.equal(wrongCode.body.code, 'INVALID_CODE');
+
+    const login = await api.request('POST', '/guest/login', { body: { ...details, code } });
+    assert.equal(login.status, 200);
+    assert.equal(login.body.booking.totalAmount, 2 * 1500);
+
+    // Codes work once
+    const reused = await api.request('POST', '/guest/login', { body: { ...details, code } });
+    assert.equal(reused.status, 401);
+
+    const view = await api.request('GET', '/guest/booking', { token: login.body.token });
+    assert.equal(view.status, 200);
+    assert.equal(view.body.bookingRef, booking.body.bookingRef);
+    assert.deepEqual(view.body.rooms.map(room => room.roomNumber), ['T101']);
+    assert.deepEqual(view.body.cancellationQuote, { cancellationCharge: 0, refundAmount: 0 });
+    assert.equal(view.body.payments, undefined);
+    assert.equal(view.body.paymentProof, undefined);
+
+    // The token is for this booking only, not for staff routes
+    const staffList = await api.request('GET', '/bookings', { token: login.body.token });
+    assert.equal(staffList.status, 401);
+  });
+
+  it('answers code requests the same way whether or not a booking matches', async () => {
+    const booking = await api.bookRooms({ checkIn: api.dayAfter(7), checkOut: api.dayAfter(8) });
+    // Older confirmations quoted the last six characters of the id, which the
+    // reference backfill keeps next to the new reference
+    const bookingRef = booking.body._id.slice(-6);
+    await Booking.updateOne({ _id: booking.body._id }, { legacyRef: bookingRef });
+
+    const wrongPhone = await api.request('POST', '/guest/access-code', {
+      body: { bookingRef, customerPhone: '9000000000' }
+    });
+    assert.equal(wrongPhone.status, 202);
+    assert.equal(api.messagingProvider.sent.length, 1);
+
+    api.mailer.sent.length = 0;
+    const byEmail = await api.request('POST', '/guest/access-code', {
+      body: { bookingRef, customerPhone: '9876543210', via: 'email' }
+    });
+    assert.equal(byEmail.status, 202);
+    assert.equal(wrongPhone.body.message, byEmail.body.message);
+    assert.equal(api.mailer.sent.length, 1);
+    assert.equal(api.mailer.sent[0].to, 'asha@example.test');
+    assert.match(api.mailer.sent[0].html, /\b\d{6}\b/);
+    assert.match(api.mailer.sent[0].subject, new RegExp(`#${booking.body.bookingRef}\\b`));
+  });
+
+  it('refuses the fake text provider in production, where codes would never arrive', () => {
+    assert.throws(() => createMessagingProvider({ NODE_ENV: 'production' }), /cannot be used in production/);
+    assert.throws(() => createMessagingProvider({ NODE_ENV: 'production', MESSAGING_PROVIDER: 'fake' }), /cannot be used in production/);
+    assert.equal(createMessagingProvider({}).name, 'fake');
+  });
+
+  it('lets a signed-in guest send a proof, add requests, get a receipt and cancel', async () => {
+    const booking = await api.bookRooms({ checkIn: api.dayAfter(7), checkOut: api.dayAfter(8) });
+    const token = await signIn(booking);
+
+    const screenshot = await sharp({ create: { width: 400, height: 800, channels: 3, background: '#2a6f97' } }).png().toBuffer();
+    const form = new FormData();
+    form.append('paymentProof', new Blob([screenshot], { type: 'image/png' }), 'upi.png');
+    const proof = await api.request('POST', '/guest/booking/payment-proof', { token, form });
+    assert.equal(proof.status, 201);
+    assert.equal(proof.body.paymentProofReceived, true);
+
+    const ownerToken = await api.loginOwner();
+    const staffView = await api.request('GET', `/bookings/${booking.body._id}/payment-proof`, { token: ownerToken });
+    assert.equal(staffView.status, 200);
+    assert.equal(staffView.headers.get('content-type'), 'image/jpeg');
+
+    const requests = await api.request('PUT', '/guest/booking/special-requests', {
+      token,
+      body: { specialRequests: 'Ground floor room please' }
+    });
+    assert.equal(requests.status, 200);
+    assert.equal(requests.body.specialRequests, 'Ground floor room please');
+
+    const receipt = await api.request('GET', '/guest/booking/receipt', { token });
+    assert.equal(receipt.status, 200);
+    assert.equal(receipt.headers.get('content-type'), 'application/pdf');
+    assert.equal(receipt.body.subarray(0, 5).toString(), '%PDF-');
+
+    const cancelled = await api.request('PUT', '/guest/booking/cancel', { token, body: { reason: 'Plans changed' } });
+    assert.equal(cancelled.status, 200);
+    assert.equal(cancelled.body.bookingStatus, 'Cancelled');
+    assert.equal(cancelled.body.cancellation.cancelledBy, 'guest');
+    assert.equal(cancelled.body.cancellationQuote, null);
+
+    const again = await api.request('PUT', '/guest/booking/cancel', { token, body: {} });
+    assert.equal(again.status, 409);
+    assert.equal(again.body.code, 'BOOKING_NOT_CANCELLABLE');
+  });
+
+  it('closes online cancellation once the stay has started', async () => {
+    const booking = await api.bookRooms({ checkIn: api.dayAfter(1), checkOut: api.dayAfter(3) });
+    api.clock.advance(24 * 60 * 60 * 1000);
+    const token = await signIn(booking);
+
+    const view = await api.request('GET', '/guest/booking', { token });
+    assert.equal(view.body.cancellationQuote, null);
+
+    const { status, body } = await api.request('PUT', '/guest/booking/cancel', { token, body: {} });
+    assert.equal(status, 409);
+    assert.equal(body.code, 'CANCELLATION_WINDOW_CLOSED');
+  });
+});
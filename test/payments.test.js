@@ -0,0 +1,244 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { startTestApp } = require('./support/app');
+const { createPaymentProvider } = require('../services/payments');
+
+describe('payments', () => {
+  let api;
+
+  before(async () => {
+    api = await startTestApp();
+  });
+
+  after(async () => {
+    await api.stop();
+  });
+
+  beforeEach(async () => {
+    await api.reset();
+  });
+
+  // Start a gateway payment and have the mock gateway settle it
+  const payOnline = async (bookingId, { amount, outcome = 'captured' } = {}) => {
+    const order = await api.request('POST', `/bookings/${bookingId}/payment-order`, {
+      body: amount !== undefined ? { amount } : {}
+    });
+    assert.equal(order.status, 201);
+    return api.request('POST', `/payments/mock/${order.body.orderId}/${outcome}`);
+  };
+
+  it('settles an online payment through the signed webhook', async () => {
+    const booking = await api.bookRooms({ checkIn: api.dayAfter(3), checkOut: api.dayAfter(5) });
+
+    const paid = await payOnline(booking.body._id);
+
+    assert.equal(paid.status, 200);
+    assert.equal(paid.body.paymentStatus, 'Completed');
+    assert.equal(paid.body.amountPaid, 3000);
+    assert.equal(paid.body.balanceDue, 0);
+    assert.equal(paid.body.payments[0].method, 'gateway');
+    assert.equal(new Date(paid.body.payments[0].receivedAt).getTime(), api.clock.now().getTime());
+
+    const again = await api.request('POST', `/bookings/${booking.body._id}/payment-order`, { body: {} });
+    assert.equal(again.status, 409);
+    assert.equal(again.body.code, 'NOTHING_DUE');
+  });
+
+  it('takes an advance and leaves the rest due', async () => {
+    const booking = await api.bookRooms({ checkIn: api.dayAfter(3), checkOut: api.dayAfter(5) });
+
+    const tooMuch = await api.request('POST', `/bookings/${booking.body._id}/payment-order`, { body: { amount: 5000 } });
+    assert.equal(tooMuch.status, 400);
+    assert.equal(tooMuch.body.errors[0].field, 'amount');
+
+    const advance = await payOnline(booking.body._id, { amount: 1000 });
+    assert.equal(advance.body.paymentStatus, 'Partially Paid');
+    assert.equal(advance.body.balanceDue, 2000);
+  });
+
+  it('records a failed payment without taking money', async () => {
+    const booking = await api.bookRooms({ checkIn: api.dayAfter(3), checkOut: api.dayAfter(4) });
+
+    const failed = await payOnline(booking.body._id, { outcome: 'failed' });
+
+    assert.equal(failed.status, 200);
+    assert.equal(failed.body.paymentStatus, 'Failed');
+    assert.equal(failed.body.amountPaid, 0);
+    assert.equal(failed.body.gatewayOrders[0].status, 'failed');
+  });
+
+  it('ignores repeated webhook deliveries', async () => {
+    const booking = await api.bookRooms({ checkIn: api.dayAfter(3), checkOut: api.dayAfter(4) });
+    const order = await api.request('POST', `/bookings/${booking.body._id}/payment-order`, { body: {} });
+    const { rawBody, signature } = api.paymentProvider.simulateWebhook({
+      orderId: order.body.orderId,
+      amount: order.body.amount,
+      outcome: 'captured'
+    });
+
+    const send = () => api.request('POST', '/payments/webhook', {
+      body: JSON.parse(rawBody),
+      headers: { 'x-razorpay-signature': signature }
+    });
+
+    assert.equal((await send()).status, 200);
+    assert.equal((await send()).status, 200);
+
+    const token = await api.loginOwner();
+    const ledger = await api.request('GET', `/bookings/${booking.body._id}/payments`, { token });
+    assert.equal(ledger.body.payments.length, 1);
+    assert.equal(ledger.body.amountPaid, 1500);
+  });
+
+  it('rejects webhooks with a bad signature', async () => {
+    const { status, body } = await api.request('POST', '/payments/webhook', {
+      body: { event: 'payment.captured' },
+      headers: { 'x-razorpay-signature': 'not-a-signature' }
+    });
+
+    assert.equal(status, 400);
+    assert.equal(body.code, 'INVALID_SIGNATURE');
+  });
+
+  it('refuses the mock gateway in production', () => {
+    assert.throws(() => createPaymentProvider({ NODE_ENV: 'production' }), /cannot be used in production/);
+    assert.throws(() => createPaymentProvider({ NODE_ENV: 'production', PAYMENT_PROVIDER: 'mock' }), /cannot be used in production/);
+
+    // Mock gateways only accept webhooks they signed themselves
+    const { rawBody, signature } = createPaymentProvider({}).simulateWebhook({ orderId: 'order_1', amount: 100, outcome: 'captured' });
+    assert.equal(createPaymentProvider({}).verifyWebhook(rawBody, signature), false);
+  });
+
+  it('records cash payments and refunds taken at the desk', async () => {
+    const booking = await api.bookRooms({ checkIn: api.dayAfter(3), checkOut: api.dayAfter(4), paymentMethod: 'cash' });
+    const token = await api.loginOwner();
+
+    const payment = await api.request('POST', `/bookings/${booking.body._id}/payments`, {
+      token,
+      body: { amount: 1500, method: 'cash' }
+    });
+    assert.equal(payment.status, 201);
+    assert.equal(payment.body.paymentStatus, 'Completed');
+
+    const refund = await api.request('POST', `/bookings/${booking.body._id}/payments`, {
+      token,
+      body: { kind: 'refund', amount: 500, method: 'cash' }
+    });
+    assert.equal(refund.status, 201);
+    assert.equal(refund.body.amountPaid, 1000);
+    assert.equal(refund.body.paymentStatus, 'Partially Paid');
+
+    const overRefund = await api.request('POST', `/bookings/${booking.body._id}/payments`, {
+      token,
+      body: { kind: 'refund', amount: 1500, method: 'cash' }
+    });
+    assert.equal(overRefund.status, 422);
+    assert.equal(overRefund.body.code, 'REFUND_EXCEEDS_PAID');
+
+    await api.request('PUT', `/admin/bookings/${booking.body._id}/cancel`, { token, body: {} });
+    const afterCancel = await api.request('POST', `/bookings/${booking.body._id}/payments`, {
+      token,
+      body: { amount: 500, method: 'cash' }
+    });
+    assert.equal(afterCancel.status, 409);
+    assert.equal(afterCancel.body.code, 'BOOKING_NOT_PAYABLE');
+  });
+
+  it('cancels unpaid online bookings once the payment window passes', async () => {
+    const unpaid = await api.bookRooms({ roomNumbers: ['T101'], checkIn: api.dayAfter(3), checkOut: api.dayAfter(4) });
+    const paid = await api.bookRooms({ roomNumbers: ['T102'], checkIn: api.dayAfter(3), checkOut: api.dayAfter(4) });
+    await payOnline(paid.body._id);
+
+    api.clock.advance(2 * 60 * 60 * 1000);
+    const token = await api.loginOwner();
+    const run = await api.request('POST', '/jobs/expire-unpaid/run', { token });
+
+    assert.equal(run.status, 200);
+    assert.equal(run.body.status, 'succeeded');
+    assert.deepEqual(run.body.result, { expired: 1 });
+
+    const [expired, kept] = await Promise.all([
+      api.request('GET', `/bookings/${unpaid.body._id}`, { token }),
+      api.request('GET', `/bookings/${paid.body._id}`, { token })
+    ]);
+    assert.equal(expired.body.bookingStatus, 'Cancelled');
+    assert.equal(expired.body.cancellation.cancelledBy, 'system');
+    assert.equal(kept.body.bookingStatus, 'Confirmed');
+  });
+
+  // Book with a payment proof attached, as the booking form does
+  const bookWithProof = async (proof, fileName, type) => {
+    const stay = {
+      checkInDate: api.dayAfter(3),
+      checkOutDate: api.dayAfter(4),
+      roomType: 'AC',
+      selectedRooms: [{ roomNumber: 'T101' }]
+    };
+    const hold = await api.request('POST', '/holds', { body: stay });
+
+    const form = new FormData();
+    for (const [field, value] of Object.entries({ ...stay, holdToken: hold.body.holdToken, customerName: 'Asha Patil', customerPhone: '9876543210' })) {
+      form.append(field, typeof value === 'string' ? value : JSON.stringify(value));
+    }
+    form.append('paymentProof', new Blob([proof], { type }), fileName);
+
+    return api.request('POST', '/bookings', { form });
+  };
+
+  it('re-encodes payment proofs under random names and shows them to staff only', async () => {
+    const screenshot = await sharp({ create: { width: 3000, height: 1500, channels: 3, background: '#2a6f97' } })
+      .png()
+      .withMetadata({ exif: { IFD0: { Copyright: 'Asha Patil' } } })
+      .toBuffer();
+
+    const booking = await bookWithProof(screenshot, 'upi-payment.png', 'image/png');
+    assert.equal(booking.status, 201);
+    assert.match(booking.body.paymentProof, /^payment-proofs\/[0-9a-f]{32}\.jpg$/);
+
+    const anonymous = await api.request('GET', `/bookings/${booking.body._id}/payment-proof`);
+    assert.equal(anonymous.status, 401);
+
+    const token = await api.loginOwner();
+    const proof = await api.request('GET', `/bookings/${booking.body._id}/payment-proof`, { token });
+    assert.equal(proof.status, 200);
+    assert.equal(proof.headers.get('content-type'), 'image/jpeg');
+    assert.equal(proof.headers.get('x-content-type-options'), 'nosniff');
+    const image = await sharp(proof.body).metadata();
+    assert.equal(image.format, 'jpeg');
+    assert.equal(image.width, 2000);
+    assert.equal(image.exif, undefined);
+
+    const thumbnail = await api.request('GET', `/bookings/${booking.body._id}/payment-proof?thumbnail=true`, { token });
+    assert.equal((await sharp(thumbnail.body).metadata()).width, 320);
+  });
+
+  it('refuses proofs that are not what they claim to be', async () => {
+    const page = Buffer.from('<html><script>alert(1)</script></html>');
+
+    const { status, body } = await bookWithProof(page, 'receipt.png', 'image/png');
+
+    assert.equal(status, 400);
+    assert.equal(body.code, 'UNSUPPORTED_FILE_TYPE');
+    assert.equal(api.fileStorage.objects.size, 0);
+  });
+
+  it('stores PDF receipts as they are', async () => {
+    const receipt = Buffer.from('%PDF-1.4\n1 0 obj\n<<>>\nendobj\ntrailer\n<<>>\n%%EOF\n');
+    const booking = await api.bookRooms({ checkIn: api.dayAfter(3), checkOut: api.dayAfter(4), paymentMethod: 'cash' });
+    const token = await api.loginOwner();
+
+    const form = new FormData();
+    form.append('amount', '1500');
+    form.append('method', 'bank_transfer');
+    form.append('proof', new Blob([receipt], { type: 'application/pdf' }), 'neft.pdf');
+    const payment = await api.request('POST', `/bookings/${booking.body._id}/payments`, { token, form });
+    assert.equal(payment.status, 201);
+
+    const entry = payment.body.payments[0];
+    assert.match(entry.proof, /^payment-proofs\/[0-9a-f]{32}\.pdf$/);
+    const download = await api.request('GET', `/bookings/${booking.body._id}/payments/${entry._id}/proof`, { token });
+    assert.equal(download.headers.get('content-type'), 'application/pdf');
+    assert.deepEqual(download.body, receipt);
+  });
+});
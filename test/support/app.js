@@ -0,0 +1,183 @@
+// Boots the API against an in-memory MongoDB replica set (transactions need one)
+// with a settable clock, a recording mailer, in-memory file storage and the
+// offline payment and messaging providers.
+Object.assign(process.env, {
+  NODE_ENV: 'test',
+  JWT_SECRET: 'test-jwt-secret',
+  HOTEL_NAME: 'Test Yatri Nivas',
+  HOTEL_ADDRESS: '1 Temple Road, Kolhapur',
+  HOTEL_PHONE: '+91 90000 00000',
+  FROM_EMAIL: 'bookings@example.test',
+  ADMIN_EMAIL: 'frontdesk@example.test'
+});
+
+const { once } = require('events');
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+const { createApp } = require('../../app');
+const Admin = require('../../models/Admin');
+const Room = require('../../models/Room');
+require('../../models/Booking');
+require('../../models/Counter');
+require('../../models/GuestCode');
+require('../../models/IdempotencyKey');
+require('../../models/Invoice');
+require('../../models/JobRun');
+require('../../models/Notification');
+require('../../models/PricingRule');
+require('../../models/RoomNight');
+const { createPaymentProvider } = require('../../services/payments');
+const { createMessagingProvider } = require('../../services/messaging');
+const { createFileStorage } = require('../../services/storage');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Two standard AC rooms and a suite, priced so totals are easy to check
+const ROOMS = [
+  { roomCategory: 'Standard', type: 'AC', roomNumber: 'T101', price: 1500, capacity: 2 },
+  { roomCategory: 'Standard', type: 'AC', roomNumber: 'T102', price: 1500, capacity: 2 },
+  { roomCategory: 'Suite', type: 'AC', roomNumber: 'T201', price: 2500, capacity: 3 }
+];
+
+const OWNER = { username: 'owner', password: 'owner-password', phone: '9000000001', role: 'owner' };
+
+// "Now" for the API; tests move it forward with `advance`
+function createClock(start) {
+  let current = new Date(start);
+  return {
+    now: () => new Date(current),
+    set: (date) => { current = new Date(date); },
+    advance: (ms) => { current = new Date(current.getTime() + ms); }
+  };
+}
+
+// Keeps every email instead of sending it
+function createRecordingMailer() {
+  const sent = [];
+  return {
+    sent,
+    async sendMail(message) {
+      sent.push(message);
+      return { messageId: `<test-${sent.length}@example.test>` };
+    }
+  };
+}
+
+// Calendar day `offset` days after the clock's current day, as YYYY-MM-DD
+function dayAfter(clock, offset) {
+  const today = new Date(clock.now());
+  today.setUTCHours(0, 0, 0, 0);
+  return new Date(today.getTime() + offset * DAY_MS).toISOString().slice(0, 10);
+}
+
+async function startTestApp({ now = '2030-03-01T06:00:00.000Z' } = {}) {
+  const replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+  await mongoose.connect(replSet.getUri());
+  // Unique indexes back the double-booking and idempotency guarantees
+  await Promise.all(Object.values(mongoose.models).map(model => model.init()));
+
+  const clock = createClock(now);
+  const mailer = createRecordingMailer();
+  const paymentProvider = createPaymentProvider({ PAYMENT_PROVIDER: 'mock' });
+  const messagingProvider = createMessagingProvider({ MESSAGING_PROVIDER: 'fake' });
+  const fileStorage = createFileStorage({ FILE_STORAGE: 'memory' });
+
+  const app = createApp({ db: mongoose.connection, mailer, clock, paymentProvider, messagingProvider, fileStorage });
+  const server = app.listen(0);
+  await once(server, 'listening');
+  const baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+
+  // Sends `body` as JSON or `form` (a FormData) as multipart; resolves to
+  // { status, headers, body } with a JSON, text or (for files) Buffer body
+  async function request(method, path, { body, form, token, headers = {} } = {}) {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...headers
+      },
+      body: form || (body !== undefined ? JSON.stringify(body) : undefined)
+    });
+    const type = response.headers.get('content-type') || '';
+    let payload;
+    if (type.includes('application/json')) payload = await response.json();
+    else if (type.startsWith('text/')) payload = await response.text();
+    else payload = Buffer.from(await response.arrayBuffer());
+    return { status: response.status, headers: response.headers, body: payload };
+  }
+
+  let ownerToken = null;
+
+  async function loginOwner() {
+    if (!ownerToken) {
+      const { body } = await request('POST', '/admin/login', {
+        body: { username: OWNER.username, password: OWNER.password }
+      });
+      ownerToken = body.token;
+    }
+    return ownerToken;
+  }
+
+  // Hold the rooms and book them, as the booking form does
+  async function bookRooms({ roomNumbers = ['T101'], roomType = 'AC', checkIn, checkOut, ...guest }) {
+    const stay = {
+      checkInDate: checkIn,
+      checkOutDate: checkOut,
+      roomType,
+      selectedRooms: roomNumbers.map(roomNumber => ({ roomNumber }))
+    };
+
+    const hold = await request('POST', '/holds', { body: stay });
+    if (hold.status !== 201) return hold;
+
+    return request('POST', '/bookings', {
+      body: {
+        ...stay,
+        holdToken: hold.body.holdToken,
+        customerName: 'Asha Patil',
+        customerPhone: '9876543210',
+        customerEmail: 'asha@example.test',
+        ...guest
+      }
+    });
+  }
+
+  // Empty every collection and restore the fixtures between tests
+  async function reset() {
+    await Promise.all(Object.values(mongoose.connection.collections).map(collection => collection.deleteMany({})));
+    await Room.seed(ROOMS);
+    await Admin.create(OWNER);
+    ownerToken = null;
+    clock.set(now);
+    mailer.sent.length = 0;
+    messagingProvider.clear();
+    fileStorage.objects.clear();
+  }
+
+  async function stop() {
+    // fetch keeps connections alive, which would hold the server open
+    server.closeAllConnections();
+    server.close();
+    await once(server, 'close');
+    await mongoose.disconnect();
+    await replSet.stop();
+  }
+
+  return {
+    app,
+    clock,
+    mailer,
+    messagingProvider,
+    paymentProvider,
+    fileStorage,
+    request,
+    loginOwner,
+    bookRooms,
+    dayAfter: (offset) => dayAfter(clock, offset),
+    reset,
+    stop
+  };
+}
+
+module.exports = { DAY_MS, ROOMS, startTestApp };